@@ -21,9 +21,13 @@
  * should be quite large, have a set width and height, and be positioned
  * (having a position of relative or absolute).
  *
+ * Options are passed along to geovelo.Controls, see there for the supported
+ * options, such as dataUrl.
+ *
  * @param {Element} containerElement The DOM element into which to insert.
+ * @param {Object=} options Optional hash of options.
  */
-geovelo.Visualization = function(containerElement) {
+geovelo.Visualization = function(containerElement, options) {
 
   // DOM element into which to add children.
   this.domElement = document.createElement('div');
@@ -39,7 +43,8 @@ geovelo.Visualization = function(containerElement) {
   overlay.domElement.className = 'overlay';
 
   // Construct controls.
-  var controls = this.controls = new geovelo.Controls(this.domElement);
+  var controls = this.controls =
+      new geovelo.Controls(this.domElement, options);
   controls.domElement.className = 'controls';
 
   // Construct TimeRange selector.
@@ -47,11 +52,20 @@ geovelo.Visualization = function(containerElement) {
   timeRange.domElement.style.display = 'none';
   timeRange.domElement.className = 'time-range';
 
-  // Set the default range colors.
-  overlay.setStartColor(controls.state.style.startColor);
-  overlay.setEndColor(controls.state.style.endColor);
-  timeRange.setStartColor(controls.state.style.startColor);
-  timeRange.setEndColor(controls.state.style.endColor);
+  // Construct the ColorScale legend for the line color modes.
+  var colorScale = this.colorScale = new geovelo.ColorScale(this.domElement);
+  colorScale.domElement.className = 'color-scale';
+
+  // Color the lines and the TimeRange by the chosen time palette, starting
+  // with the default.
+  var setTimeColors = function() {
+    var colors = controls.getTimeColors();
+    if (colors) {
+      overlay.setTimeColors(colors);
+      timeRange.setColors(colors);
+    }
+  };
+  setTimeColors();
 
   // Update the Overlay viewport when the map bounds change.
   map.setOverlayElement(overlay.domElement);
@@ -74,20 +88,99 @@ geovelo.Visualization = function(containerElement) {
       case 'data/medianCorrection':
         overlay.setMedianCorrection(value);
         break;
+      case 'data/timeStep':
+      case 'data/outlierThreshold':
+      case 'data/outlierWindow':
+      case 'data/seasonal':
+      case 'data/smoothing':
+      case 'data/smoothingStrength':
+      case 'data/gapMode':
+      case 'data/maxGap':
+      case 'data/referenceFrame':
+      case 'data/referenceStations':
+      case 'data/commonModeRadius':
+      case 'offsets/correct':
+      case 'offsets/epochs':
+      case 'offsets/detect':
+      case 'offsets/threshold':
+      case 'offsets/window':
+        controls.updateData();
+        break;
+      case 'data/tenvReference':
+        // Only read when files are next loaded, see DataWorker.load().
+        break;
       case 'data/showMarkers':
         map.setMarkerVisibility(value);
         break;
-      case 'style/startColor':
-        overlay.setStartColor(value);
-        timeRange.setStartColor(value);
+      case 'plate/name':
+        controls.selectPlate(value);
+        break;
+      case 'plate/lat':
+      case 'plate/lon':
+      case 'plate/rate':
+        controls.editPole();
         break;
+      case 'style/palette':
+      case 'style/paletteStops':
+      case 'style/startColor':
       case 'style/endColor':
-        overlay.setEndColor(value);
-        timeRange.setEndColor(value);
+        setTimeColors();
+        break;
+      case 'style/colorMode':
+        overlay.setColorMode(value);
+        colorScale.setColorMode(value);
+        break;
+      case 'style/verticalRange':
+        overlay.setVerticalRange(value);
+        colorScale.setRange('vertical', value);
+        break;
+      case 'style/heightRange':
+        overlay.setHeightRange(value);
+        colorScale.setRange('height', value);
+        break;
+      case 'style/speedRange':
+        overlay.setSpeedRange(value);
+        colorScale.setRange('speed', value);
         break;
       case 'style/lineWidth':
         overlay.setLineWidth(value);
         break;
+      case 'style/drawMode':
+        overlay.setDrawMode(value);
+        break;
+      case 'style/tailLength':
+        overlay.setTailLength(value);
+        break;
+      case 'style/dotSize':
+        overlay.setDotSize(value);
+        break;
+      case 'velocity/show':
+        overlay.setShowVelocities(value);
+        break;
+      case 'velocity/scale':
+        overlay.setVelocityScale(value);
+        break;
+      case 'velocity/color':
+        overlay.setVelocityColor(value);
+        break;
+      case 'strain/mode':
+        overlay.setStrainMode(value);
+        break;
+      case 'strain/range':
+        overlay.setStrainRange(value);
+        break;
+      case 'strain/opacity':
+        overlay.setStrainOpacity(value);
+        break;
+      case 'render/highDpi':
+        overlay.setHighDpi(value);
+        break;
+      case 'render/antialias':
+        overlay.setAntialias(value);
+        break;
+      case 'render/supersampling':
+        overlay.setSupersampling(value);
+        break;
       case 'animation/enabled':
         value ? overlay.startAnimation() : overlay.stopAnimation();
         break;
@@ -109,14 +202,25 @@ geovelo.Visualization = function(containerElement) {
   // Listen for data-ready events from the controls element, feed to components
   // that need to know.
   controls.domElement.addEventListener('data-ready', function(event) {
-    map.setData(event.detail);
+    map.setData(event.detail.beacons, event.detail.update);
     overlay.setData(event.detail);
   }, false);
 
   // When the Overlay computes a new extent from the incoming data, use that
   // value to set the extent on the TimeRange control.
   overlay.domElement.addEventListener('extent-changed', function(event) {
-    timeRange.setExtent(event.detail.extentStart, event.detail.extentEnd);
+    timeRange.setExtent(event.detail.extentStart, event.detail.extentEnd,
+        event.detail.step);
+  }, false);
+
+  // Use stations chosen from the map's info window as reference stations.
+  map.domElement.addEventListener('reference-selected', function(event) {
+    controls.selectReferenceStation(event.detail.name);
+  }, false);
+
+  // Show the velocities fitted by the Overlay in the map's info window.
+  overlay.domElement.addEventListener('velocities-changed', function(event) {
+    map.setVelocities(event.detail.velocities);
   }, false);
 
   // Update controls status and progress meter.
@@ -46,8 +46,9 @@ geovelo = geovelo || {};
  *
  * Starting with the second column (index 1), each RG and BA pair holds the
  * cumulative offset relative to the base. So for example, if the beacon didn't
- * move at all from the initial day to the second, then the RG channels of the
- * second column would be 0/0.
+ * move at all from the initial time step to the second, then the RG channels
+ * of the second column would be 0/0. Time steps are a fixed number of seconds
+ * apart (one day by default), see geovelo.data.regularizeBeacon().
  *
  *      |       | |       | |       |
  *      +-------+ +-------+ +-------+             b = base
@@ -68,6 +69,16 @@ geovelo = geovelo || {};
  *      +-------+ +-------+ +-------+ +--- ---+ +-------+
  *    px    0         1         2                width-1
  *
+ * With regional corrections, each beacon has its own cumulative common mode
+ * offsets in place of the medians, in another row per beacon above the beacon
+ * rows: the row for beacon i is at beaconCount + i + 1. See
+ * geovelo.data.computeRegionalCommonMode().
+ *
+ * With heights, each beacon also has a row of its height change in mm since
+ * its first reading, above any rows of corrections: the row for beacon i is
+ * at beaconCount * (regional ? 2 : 1) + i + 1. These use only the first
+ * (longitude) slot of each pair.
+ *
  * The LineShaderMaterial is responsible for using a given vertex's timestamp
  * and beaconIndex to look up its lon/lat pair from this texture at render time.
  *
@@ -85,22 +96,27 @@ geovelo = geovelo || {};
  * @param {number} beaconCount Number of beacons represented.
  * @param {number} startTimestamp The earliest Unix timestamp of any data point.
  * @param {number} endTimestamp The latest Unix timestamp of any data point.
+ * @param {number=} timeStep Seconds between time steps, one day by default.
+ * @param {boolean=} regional Whether to hold a row of corrections per beacon.
+ * @param {boolean=} heights Whether to hold a row of heights per beacon.
  */
-geovelo.BeaconVertexTexture =
-    function(beaconCount, startTimestamp, endTimestamp) {
+geovelo.BeaconVertexTexture = function(beaconCount, startTimestamp,
+    endTimestamp, timeStep, regional, heights) {
 
   THREE.Texture.call(this, null);
 
   this.beaconCount = beaconCount;
   this.startTimestamp = startTimestamp;
   this.endTimestamp = endTimestamp;
-  this.timestampCount = (endTimestamp - startTimestamp) / 60 / 60 / 24 + 1;
-
-  // Each column represents two timestamps, plus a slot for for base positions.
-  this.width = Math.ceil((this.timestampCount + 1) / 2)
+  this.timeStep = timeStep || 60 * 60 * 24;
+  this.regional = !!regional;
+  this.heights = !!heights;
+  this.timestampCount = this.getTimeIndex(endTimestamp) + 1;
 
-  // One row per beacon, plus one for storing the medians.
-  this.height = beaconCount + 1;
+  var size = geovelo.BeaconVertexTexture.computeSize(beaconCount,
+      startTimestamp, endTimestamp, this.timeStep, regional, heights);
+  this.width = size.width;
+  this.height = size.height;
 
   this.data = new Float32Array(this.width * this.height * 4);
   this.image = {
@@ -122,6 +138,32 @@ geovelo.BeaconVertexTexture.prototype =
   Object.create(THREE.DataTexture.prototype);
 geovelo.BeaconVertexTexture.prototype.constructor = geovelo.BeaconVertexTexture;
 
+/**
+ * Compute the size in pixels of the texture for some beacons, to check that it
+ * will fit within the device's MAX_TEXTURE_SIZE before creating it.
+ *
+ * @param {number} beaconCount Number of beacons represented.
+ * @param {number} startTimestamp The earliest Unix timestamp of any data point.
+ * @param {number} endTimestamp The latest Unix timestamp of any data point.
+ * @param {number=} timeStep Seconds between time steps, one day by default.
+ * @param {boolean=} regional Whether to hold a row of corrections per beacon.
+ * @param {boolean=} heights Whether to hold a row of heights per beacon.
+ * @return {!Object} Object with the width and height.
+ */
+geovelo.BeaconVertexTexture.computeSize = function(beaconCount,
+    startTimestamp, endTimestamp, timeStep, regional, heights) {
+  var lastIndex =
+      Math.round((endTimestamp - startTimestamp) / (timeStep || 60 * 60 * 24));
+  return {
+    // Each column represents two timestamps, plus a slot for base positions.
+    width: Math.ceil((lastIndex + 2) / 2),
+
+    // One row per beacon, plus one for storing the medians, plus one more per
+    // beacon for its corrections if they're regional, and for its heights.
+    height: beaconCount * (1 + (regional ? 1 : 0) + (heights ? 1 : 0)) + 1
+  };
+};
+
 /**
  * Given a beacon index and time index, compute the offset into the data array
  * where the longitude would be found (latitude will be one greater). This
@@ -137,12 +179,13 @@ geovelo.BeaconVertexTexture.prototype.computeOffset =
 };
 
 /**
- * Given a timestamp, return the number of days since the start timestamp.
+ * Given a timestamp, return the number of time steps since the start timestamp,
+ * rounded to the nearest step.
  *
  * @param {number} timestamp Timestamp to convert.
  */
 geovelo.BeaconVertexTexture.prototype.getTimeIndex = function(timestamp) {
-  return (timestamp - this.startTimestamp) / 60 / 60 / 24;
+  return Math.round((timestamp - this.startTimestamp) / this.timeStep);
 }
 
 /**
@@ -203,3 +246,56 @@ geovelo.BeaconVertexTexture.prototype.setBaseLonLat =
   this.data[offset + 1] = lat;
   this.needsUpdate = true;
 };
+
+/**
+ * Set a beacon's cumulative regional correction lon/lat for a particular
+ * timestamp. Only available if the texture was constructed as regional.
+ *
+ * @param {number} beaconIndex Index of the beacon.
+ * @param {number} timestamp Timestamp to set.
+ * @param {number} lon The longitude diff in Web Mercator projected coordinates.
+ * @param {number} lat The latitude diff in Web Mercator projected coordinates.
+ */
+geovelo.BeaconVertexTexture.prototype.setCorrectionLonLat =
+    function(beaconIndex, timestamp, lon, lat) {
+  if (!this.regional) {
+    throw Error('Texture has no regional corrections.');
+  }
+  if (beaconIndex >= this.beaconCount) {
+    throw Error('Beacon index out of bounds.');
+  }
+  if (timestamp < this.startTimestamp || timestamp > this.endTimestamp) {
+    throw Error('Timestamp out of bounds.');
+  }
+  var offset = this.computeOffset(
+      this.beaconCount + beaconIndex, this.getTimeIndex(timestamp));
+  this.data[offset + 0] = lon;
+  this.data[offset + 1] = lat;
+  this.needsUpdate = true;
+};
+
+/**
+ * Set a beacon's height change since its first reading for a particular
+ * timestamp. Only available if the texture was constructed with heights.
+ *
+ * @param {number} beaconIndex Index of the beacon.
+ * @param {number} timestamp Timestamp to set.
+ * @param {number} height The height change in mm.
+ */
+geovelo.BeaconVertexTexture.prototype.setBeaconHeight =
+    function(beaconIndex, timestamp, height) {
+  if (!this.heights) {
+    throw Error('Texture has no heights.');
+  }
+  if (beaconIndex >= this.beaconCount) {
+    throw Error('Beacon index out of bounds.');
+  }
+  if (timestamp < this.startTimestamp || timestamp > this.endTimestamp) {
+    throw Error('Timestamp out of bounds.');
+  }
+  var rows = this.beaconCount * (this.regional ? 2 : 1);
+  var offset =
+      this.computeOffset(rows + beaconIndex, this.getTimeIndex(timestamp));
+  this.data[offset] = height;
+  this.needsUpdate = true;
+};
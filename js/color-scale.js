@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Implements a color scale legend for the line color modes.
+ *
+ * @license Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+// ColorScale requires d3.
+if (typeof d3 === 'undefined') {
+  throw Error('D3 is required to create a ColorScale.');
+}
+
+var geovelo;
+geovelo = geovelo || {};
+
+/**
+ * Implements a legend showing the colors of the current line color mode (see
+ * geovelo.LineShaderMaterial.COLOR_MODES) as a gradient with a labelled axis.
+ * In the time color mode the TimeRange nubs already show the colors, so the
+ * legend is hidden.
+ *
+ * @param {Element} containerElement The DOM element into which to insert.
+ */
+geovelo.ColorScale = function(containerElement) {
+
+  // DOM Element into which to insert content.
+  this.domElement = document.createElement('div');
+  if (containerElement) {
+    containerElement.appendChild(this.domElement);
+  }
+
+  // Name of the color mode to show.
+  this.colorMode = 'time';
+
+  // Ranges of the color modes which have one, by name.
+  this.ranges = {
+    vertical: 5,
+    height: 20,
+    speed: 100
+  };
+
+  // Insert root SVG element into the container element. Expand to fill.
+  var svg = this.svg = d3.select(this.domElement).append('svg')
+      .style('width', '100%').style('height', '100%');
+
+  // Add the gradient, the bar it fills, the axis and the title.
+  svg.append('defs').append('linearGradient')
+      .attr('id', 'color-scale-gradient');
+  svg.append('rect')
+      .attr('class', 'bar')
+      .attr('fill', 'url(#color-scale-gradient)');
+  svg.append('g').attr('class', 'axis');
+  svg.append('text').attr('class', 'title');
+
+  this.draw();
+};
+
+/**
+ * Set the color mode to show.
+ *
+ * @param {string} colorMode The name of the color mode.
+ */
+geovelo.ColorScale.prototype.setColorMode = function(colorMode) {
+  this.colorMode = colorMode;
+  this.draw();
+};
+
+/**
+ * Set the value which gets the full color in a color mode with a range.
+ *
+ * @param {string} colorMode The name of the color mode, 'vertical', 'height'
+ *     or 'speed'.
+ * @param {number} range The value, in mm/yr, or mm for height.
+ */
+geovelo.ColorScale.prototype.setRange = function(colorMode, range) {
+  this.ranges[colorMode] = range;
+  this.draw();
+};
+
+/**
+ * Work out the color stops, domain, ticks and title of the current color mode.
+ *
+ * @return {!Object} Object with colors (evenly spaced stops), domain, ticks,
+ * tickFormat and title properties.
+ */
+geovelo.ColorScale.prototype.getScale = function() {
+  var palette = geovelo.LineShaderMaterial.PALETTES[this.colorMode];
+  switch (this.colorMode) {
+    case 'vertical':
+      var range = this.ranges.vertical;
+      return {
+        colors: palette,
+        domain: [-range, range],
+        ticks: [-range, 0, range],
+        title: 'vertical velocity (mm/yr)'
+      };
+    case 'speed':
+      return {
+        colors: palette,
+        domain: [0, this.ranges.speed],
+        ticks: [0, this.ranges.speed / 2, this.ranges.speed],
+        title: 'speed (mm/yr)'
+      };
+    case 'direction':
+      var wheel = geovelo.LineShaderMaterial.HUE_WHEEL;
+      return {
+        colors: d3.range(0, 361, 30).map(function(hue) {
+          return d3.hsl(hue, wheel.saturation, wheel.lightness).toString();
+        }),
+        domain: [0, 360],
+        ticks: [0, 90, 180, 270, 360],
+        tickFormat: function(azimuth) {
+          return 'NESWN'[azimuth / 90];
+        },
+        title: 'direction of motion'
+      };
+    case 'completeness':
+      return {
+        colors: palette,
+        domain: [0, 100],
+        ticks: [0, 50, 100],
+        title: 'completeness (%)'
+      };
+    case 'height':
+      var heightRange = this.ranges.height;
+      return {
+        colors: palette,
+        domain: [-heightRange, heightRange],
+        ticks: [-heightRange, 0, heightRange],
+        title: 'height change (mm)'
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Draw (or redraw) the color scale, hiding it in the time color mode.
+ */
+geovelo.ColorScale.prototype.draw = function() {
+  var scale = this.getScale();
+  if (!scale) {
+    this.domElement.style.display = 'none';
+    return;
+  }
+
+  // Show the container element--must be first for correct size calculations.
+  this.domElement.style.display = '';
+
+  var svg = this.svg;
+  var rect = svg.node().getBoundingClientRect();
+  var margin = geovelo.ColorScale.margin;
+  var width = Math.max(rect.width - margin.left - margin.right, 0);
+
+  var stops = svg.select('linearGradient').selectAll('stop')
+      .data(scale.colors);
+  stops.enter().append('stop');
+  stops.exit().remove();
+  stops
+      .attr('offset', function(d, i) {
+        return i / (scale.colors.length - 1);
+      })
+      .attr('stop-color', function(d) { return d; });
+
+  svg.select('.bar')
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', width)
+      .attr('height', geovelo.ColorScale.barHeight);
+
+  var axis = d3.svg.axis()
+      .scale(d3.scale.linear()
+          .domain(scale.domain)
+          .range([margin.left, margin.left + width]))
+      .orient('bottom')
+      .tickValues(scale.ticks)
+      .tickFormat(scale.tickFormat || d3.format('g'));
+  svg.select('.axis')
+      .attr('transform', 'translate(0,' +
+          (margin.top + geovelo.ColorScale.barHeight) + ')')
+      .call(axis);
+
+  svg.select('.title')
+      .attr('x', margin.left)
+      .attr('y', margin.top - 4)
+      .text(scale.title);
+};
+
+/**
+ * The amount of space in pixels to leave around the drawn elements.
+ */
+geovelo.ColorScale.margin = {
+  left: 12,
+  right: 12,
+  top: 18
+};
+
+/**
+ * The height of the color bar in pixels.
+ */
+geovelo.ColorScale.barHeight = 8;
@@ -22,9 +22,21 @@ geovelo = geovelo || {};
 /**
  * Implements controls for the visualization.
  *
+ * Supported options:
+ *  - dataUrl - URL of the data file to download. A ?data= query parameter on
+ *    the page takes precedence. Defaults to data/beacon-data.json.
+ *  - catalogUrl - URL of a JSON catalog of datasets to offer in the dataset
+ *    picker. Defaults to data/index.json. If it can't be loaded, no picker is
+ *    shown.
+ *  - workerUrl - URL of the data worker script. Defaults to
+ *    js/data-worker.js.
+ *
  * @param {Element} containerElement The DOM element into which to insert.
+ * @param {Object=} options Optional hash of options.
  */
-geovelo.Controls = function(containerElement) {
+geovelo.Controls = function(containerElement, options) {
+
+  options = options || {};
 
   // Local reference to the geovelo settings object, throw if missing.
   var settings = geovelo.settings;
@@ -38,20 +50,66 @@ geovelo.Controls = function(containerElement) {
     containerElement.appendChild(this.domElement);
   }
 
+  // Web Worker which parses and prepares data off of the UI thread.
+  this.worker = new Worker(options.workerUrl || 'js/data-worker.js');
+  this.worker.addEventListener(
+      'message', this.onWorkerMessage.bind(this), false);
+
+  // URL of the data file to download.
+  this.dataUrl = geovelo.Controls.getQueryParameter('data') ||
+      options.dataUrl || 'data/beacon-data.json';
+
+  // Beacons of the most recently prepared dataset, for saving as binary.
+  this.beacons = null;
+
+  // Time in ms to wait after a data setting changes before asking the data
+  // worker to prepare the data again, in case it changes again.
+  this.updateDataDelay = 250;
+
+  // Datasets listed in the catalog, and the name of the chosen one.
+  this.catalog = [];
+  this.dataset = null;
+
   // String that displays the current status of the visualization.
   this.status = 'waiting for data';
 
+  // Error status shown for unreadable custom palette stops, if any, and the
+  // status it replaced, to restore once the stops can be read. See
+  // getTimeColors().
+  this.paletteError = null;
+  this.statusBeforePaletteError = null;
+
   // Percentage progress of the current operation, a number from 0 to 100.
   this.progress = 0;
 
-  // Insert hidden file input for loading local data.
+  // String summarizing any problems found in the most recently loaded data,
+  // such as invalid beacons or conflicting readings when merging several
+  // files. The details are listed per beacon in the report folder.
+  this.report = 'none';
+
+  // Insert hidden file input for loading local data. Several files may be
+  // chosen at once, and their beacons will be merged into one dataset.
   var loadFileInput = this.loadFileInput = document.createElement('input');
   loadFileInput.style.display = 'none';
   loadFileInput.type = 'file';
+  loadFileInput.multiple = true;
+  loadFileInput.accept = geovelo.formats.EXTENSIONS.map(function(extension) {
+    return '.' + extension;
+  }).join(',');
   loadFileInput
       .addEventListener('change', this.loadFileChange.bind(this), false);
   this.domElement.appendChild(loadFileInput);
 
+  // Insert hidden file input for loading every data file in a local folder.
+  var loadFolderInput = this.loadFolderInput = document.createElement('input');
+  loadFolderInput.style.display = 'none';
+  loadFolderInput.type = 'file';
+  loadFolderInput.webkitdirectory = true;
+  loadFolderInput.setAttribute('directory', '');
+  loadFolderInput
+      .addEventListener('change', this.loadFileChange.bind(this), false);
+  this.domElement.appendChild(loadFolderInput);
+
   // Instance of dat.GUI for managing most visualization controls.
   var gui = this.gui = new dat.GUI({
     autoPlace: false,
@@ -59,6 +117,7 @@ geovelo.Controls = function(containerElement) {
   });
   gui.add(this, 'status').listen();
   gui.add(this, 'progress', 0, 100).listen();
+  gui.add(this, 'report').listen();
 
   // Collection of folders which have been added to the gui.
   var folders = this.folders = {};
@@ -67,7 +126,9 @@ geovelo.Controls = function(containerElement) {
   var folder = folders.data =
       gui.addFolder(settings.data.displayName || 'data');
   folder.add(this, 'downloadData').name('Download data.');
-  folder.add(this, 'loadFile').name('Load local file.');
+  folder.add(this, 'loadFile').name('Load local files.');
+  folder.add(this, 'loadFolder').name('Load local folder.');
+  folder.add(this, 'saveBinary').name('Save as binary.');
 
   // Object holding visualization state based on settings, bucketed by area.
   var state = this.state = {};
@@ -92,6 +153,8 @@ geovelo.Controls = function(containerElement) {
       var ctrl;
       if (option.type === 'color') {
         ctrl = folder.addColor(folderState, optionName);
+      } else if ('values' in option) {
+        ctrl = folder.add(folderState, optionName, option.values);
       } else {
         ctrl = folder.add(folderState, optionName);
       }
@@ -125,6 +188,28 @@ geovelo.Controls = function(containerElement) {
     });
   });
 
+  // Files awaiting import while the user picks CSV columns, the CSV column
+  // mapping, and the controllers which let the user change the mapping. The
+  // CSV folder is only shown while CSV files are awaiting import.
+  this.csvMapping = null;
+  this.csvControllers = [];
+  this.pendingFiles = null;
+  folders.csv = gui.addFolder('CSV columns');
+  folders.csv.domElement.parentNode.style.display = 'none';
+
+  // Rows describing the problems of each beacon in the report folder, which
+  // is only shown when there are problems to report, and the most rows to show.
+  this.reportControllers = [];
+  this.maxReportRows = 100;
+  folders.report = gui.addFolder('Report');
+  folders.report.domElement.parentNode.style.display = 'none';
+
+  // Fill in the pole of the default plate.
+  this.selectPlate(state.plate.name);
+
+  // Look for a catalog of datasets to populate the dataset picker.
+  this.loadCatalog(options.catalogUrl || 'data/index.json');
+
   // Finally, attach gui DOM element to the provided container element.
   this.domElement.appendChild(gui.domElement);
 
@@ -138,32 +223,355 @@ geovelo.Controls.prototype.setSampleStartDate = function(date) {
 };
 
 /**
- * On the next tick, parse incoming text as JSON, then proceed to prepare the
- * data as necessary.
+ * Parse incoming content in whichever supported format it's in (see
+ * geovelo.formats), then proceed to prepare the data as necessary.
+ *
+ * @param {string|ArrayBuffer} content The contents of the data file.
+ * @param {string=} fileName Name of the file, used to detect the format.
  */
-geovelo.Controls.prototype.parseText = function(text) {
-  this.status = 'parsing data...';
-  requestAnimationFrame(function() {
+geovelo.Controls.prototype.parseText = function(content, fileName) {
+  this.parseFiles([{ name: fileName, content: content }]);
+};
+
+/**
+ * Hand the contents of one or more data files to the data worker for parsing
+ * and preparation. If any of the files are CSV, this first pauses for the user
+ * to confirm which columns hold what (see showCsvMapping).
+ *
+ * @param {!Array} files Array of objects with name and content properties.
+ */
+geovelo.Controls.prototype.parseFiles = function(files) {
+  var csvFile = null;
+  for (var i = 0; i < files.length; i++) {
+    var file = files[i];
     try {
-      var data = JSON.parse(text);
-      this.prepareData(data);
+      if (geovelo.formats.detect(file.content, file.name) === 'csv') {
+        csvFile = csvFile || file;
+      }
     } catch (err) {
-      this.status = 'ERROR: Invalid JSON.';
+      this.status = 'ERROR: ' +
+          (files.length > 1 ? file.name + ': ' : '') + err.message;
+      return;
     }
-  }.bind(this));
+  }
+
+  if (csvFile) {
+    this.showCsvMapping(csvFile.content, files);
+  } else {
+    this.prepareData(files);
+  }
 };
 
 /**
- * Once raw data is ready (either downloaded or loaded locally from a file) we
- * need to apply corrections and compute intermediate values (like medians).
+ * Show the CSV columns folder so that the user can pick which columns hold the
+ * station name, time, longitude and latitude. The columns are initially
+ * guessed from the header of the first CSV file, and the same mapping is used
+ * for all of them. Parsing resumes when the user clicks the import button (see
+ * importCsv).
+ *
+ * @param {string} csvText The contents of the first CSV file.
+ * @param {!Array} files All of the files being loaded, CSV or not.
  */
-geovelo.Controls.prototype.prepareData = function(data) {
-  this.status = 'preparing data...';
-  requestAnimationFrame(function() {
-    geovelo.data.fillBeaconGaps(data);
-    this.gui.domElement.dispatchEvent(
-        new CustomEvent('data-ready', { bubbles: true, detail: data }));
-  }.bind(this));
+geovelo.Controls.prototype.showCsvMapping = function(csvText, files) {
+  var folder = this.folders.csv;
+  var header = geovelo.formats.parseCsvHeader(csvText);
+
+  this.pendingFiles = files;
+  var mapping = this.csvMapping = geovelo.formats.guessCsvMapping(header);
+
+  // Replace any controllers left over from a previous CSV file.
+  this.csvControllers.forEach(function(ctrl) {
+    folder.remove(ctrl);
+  });
+  this.csvControllers = Object.keys(mapping).map(function(key) {
+    return folder.add(mapping, key, header);
+  });
+  this.csvControllers.push(
+      folder.add(this, 'importCsv').name('Import CSV.'));
+
+  folder.domElement.parentNode.style.display = '';
+  folder.open();
+  this.status = 'choose CSV columns';
+};
+
+/**
+ * Called when the user clicks the import button in the CSV columns folder.
+ * Sends the pending files off for preparation with the chosen column mapping.
+ */
+geovelo.Controls.prototype.importCsv = function() {
+  var files = this.pendingFiles;
+  if (!files) {
+    return;
+  }
+  this.pendingFiles = null;
+  this.folders.csv.domElement.parentNode.style.display = 'none';
+  this.prepareData(files, this.csvMapping);
+};
+
+/**
+ * Send data files to the data worker, which parses them, merges beacons
+ * sharing a name (see geovelo.data.mergeBeacons), fills gaps and computes
+ * medians. The worker reports back via onWorkerMessage.
+ *
+ * Binary file contents are transferred to the worker rather than copied.
+ *
+ * @param {!Array} files Array of objects with name and content properties.
+ * @param {Object=} csvMapping Column mapping for any CSV files.
+ */
+geovelo.Controls.prototype.prepareData = function(files, csvMapping) {
+  this.status = 'parsing data...';
+  this.progress = 0;
+  var buffers = files.map(function(file) {
+    return file.content;
+  }).filter(function(content) {
+    return content instanceof ArrayBuffer;
+  });
+  this.worker.postMessage({
+    type: 'prepare',
+    files: files,
+    csvMapping: csvMapping || null,
+    options: this.getDataOptions()
+  }, buffers);
+};
+
+/**
+ * Ask the data worker to prepare the last loaded files again, for instance
+ * after a data option has changed. Does nothing if no data has been loaded.
+ * Calls are debounced, since sliders change their values continuously while
+ * being dragged.
+ */
+geovelo.Controls.prototype.updateData = function() {
+  if (!this.beacons) {
+    return;
+  }
+  clearTimeout(this.updateDataTimer);
+  this.updateDataTimer = setTimeout(function() {
+    this.status = 'preparing data...';
+    this.progress = 0;
+    this.worker.postMessage({
+      type: 'update',
+      options: this.getDataOptions()
+    });
+  }.bind(this), this.updateDataDelay);
+};
+
+/**
+ * Choose a station for the reference frame. With a station set, the station
+ * is added to the set, or removed if it's already there. Otherwise it becomes
+ * the single reference station.
+ *
+ * @param {string} name The name of the station.
+ */
+geovelo.Controls.prototype.selectReferenceStation = function(name) {
+  var data = this.state.data;
+  var names = data.referenceStations.split(',').map(function(entry) {
+    return entry.trim();
+  }).filter(function(entry) {
+    return entry;
+  });
+  name = String(name);
+  if (data.referenceFrame === 'set') {
+    var index = names.indexOf(name);
+    if (index === -1) {
+      names.push(name);
+    } else {
+      names.splice(index, 1);
+    }
+  } else {
+    data.referenceFrame = 'station';
+    names = [name];
+  }
+  data.referenceStations = names.join(', ');
+  this.updateData();
+};
+
+/**
+ * Choose a plate for the plate fixed reference frame, filling in its Euler
+ * pole from geovelo.data.PLATES. Does nothing to the pole for a custom plate.
+ *
+ * @param {string} name Abbreviation of the plate, or 'custom'.
+ */
+geovelo.Controls.prototype.selectPlate = function(name) {
+  var plate = this.state.plate;
+  plate.name = name;
+  if (name !== 'custom') {
+    var pole = geovelo.data.getPlatePole(name);
+    plate.lat = +pole.lat.toFixed(3);
+    plate.lon = +pole.lon.toFixed(3);
+    plate.rate = +pole.rate.toFixed(3);
+  }
+  this.updatePlate();
+};
+
+/**
+ * Called when the Euler pole is edited by hand, which makes the plate custom.
+ */
+geovelo.Controls.prototype.editPole = function() {
+  this.state.plate.name = 'custom';
+  this.updatePlate();
+};
+
+/**
+ * Prepare the data again if the plate fixed reference frame is in use, since
+ * its pole has changed.
+ */
+geovelo.Controls.prototype.updatePlate = function() {
+  if (this.state.data.referenceFrame === 'plate') {
+    this.updateData();
+  }
+};
+
+/**
+ * Collect the data settings which affect how the data worker prepares data.
+ * See geovelo.DataWorker.prepare() for their meaning.
+ *
+ * @return {!Object} Data options for the worker.
+ */
+geovelo.Controls.prototype.getDataOptions = function() {
+  return {
+    timeStep: this.state.data.timeStep,
+    outlierThreshold: this.state.data.outlierThreshold,
+    outlierWindow: this.state.data.outlierWindow,
+    seasonal: this.state.data.seasonal,
+    smoothing: this.state.data.smoothing,
+    smoothingStrength: this.state.data.smoothingStrength,
+    gapMode: this.state.data.gapMode,
+    maxGap: this.state.data.maxGap,
+    referenceFrame: this.state.data.referenceFrame,
+    referenceStations: this.state.data.referenceStations,
+    commonModeRadius: this.state.data.commonModeRadius,
+    tenvReference: this.state.data.tenvReference,
+    eulerPole: {
+      lat: this.state.plate.lat,
+      lon: this.state.plate.lon,
+      rate: this.state.plate.rate
+    },
+    correctOffsets: this.state.offsets.correct,
+    offsetEpochs: this.state.offsets.epochs,
+    detectOffsets: this.state.offsets.detect,
+    offsetThreshold: this.state.offsets.threshold,
+    offsetWindow: this.state.offsets.window
+  };
+};
+
+/**
+ * Work out the color stops of the chosen time palette. Unreadable custom stops,
+ * as while they're being typed, are reported in the status, and the previous
+ * status is restored once they can be read.
+ *
+ * @return {Array<string>} The color stops from the start of the time range to
+ * the end, or null if they can't be read.
+ */
+geovelo.Controls.prototype.getTimeColors = function() {
+  var style = this.state.style;
+  var colors;
+  switch (style.palette) {
+    case 'startEnd':
+      colors = [style.startColor, style.endColor];
+      break;
+    case 'custom':
+      try {
+        colors = geovelo.Palettes.parseStops(style.paletteStops);
+      } catch (err) {
+        if (this.status !== this.paletteError) {
+          this.statusBeforePaletteError = this.status;
+        }
+        this.status = this.paletteError = 'ERROR: ' + err.message;
+        return null;
+      }
+      break;
+    default:
+      colors = geovelo.Palettes.RAMPS[style.palette];
+  }
+  if (this.paletteError !== null && this.status === this.paletteError) {
+    this.status = this.statusBeforePaletteError;
+  }
+  this.paletteError = this.statusBeforePaletteError = null;
+  return colors;
+};
+
+/**
+ * Handle messages from the data worker: status updates, errors, saved gvb
+ * files, and finally the prepared dataset, which is announced with a
+ * 'data-ready' event.
+ */
+geovelo.Controls.prototype.onWorkerMessage = function(event) {
+  var message = event.data;
+  switch (message.type) {
+    case 'status':
+      this.status = message.status;
+      this.progress = 100 * message.progress;
+      break;
+    case 'error':
+      this.status = 'ERROR: ' + message.message;
+      this.progress = 0;
+      break;
+    case 'binary':
+      this.downloadBinary(message.buffer);
+      break;
+    case 'data-ready':
+      this.beacons = message.dataset.beacons;
+      this.showReport(message.dataset);
+      this.gui.domElement.dispatchEvent(new CustomEvent('data-ready', {
+            bubbles: true,
+            detail: message.dataset
+          }));
+      break;
+  }
+};
+
+/**
+ * Summarize in the report any problems with the prepared dataset: beacons
+ * which were skipped or had readings set as missing by validation (see
+ * geovelo.data.validateBeacons), and beacons with conflicting readings from
+ * merging files. Each beacon's problems are listed in the report folder.
+ *
+ * @param {!Object} dataset The prepared dataset from the data worker.
+ */
+geovelo.Controls.prototype.showReport = function(dataset) {
+  var folder = this.folders.report;
+  var issues = dataset.issues;
+  var conflicts = dataset.conflicts;
+
+  var skipped = issues.filter(function(issue) {
+    return issue.skipped;
+  }).length;
+  var summary = [];
+  if (skipped) {
+    summary.push(skipped + ' skipped');
+  }
+  if (issues.length > skipped) {
+    summary.push((issues.length - skipped) + ' with bad readings');
+  }
+  if (conflicts.length) {
+    summary.push(conflicts.length + ' with conflicting readings');
+  }
+  this.report = summary.length ? summary.join(', ') : 'none';
+
+  // Replace the rows of any previous report with one row per beacon problem.
+  var rows = issues.map(function(issue) {
+    return {
+      name: issue.name,
+      text: (issue.skipped ? 'skipped: ' : '') + issue.problems.join(', ')
+    };
+  }).concat(conflicts.map(function(conflict) {
+    return {
+      name: conflict.name,
+      text: conflict.count + ' conflicting readings'
+    };
+  }));
+  if (rows.length > this.maxReportRows) {
+    var more = rows.length - this.maxReportRows;
+    rows = rows.slice(0, this.maxReportRows);
+    rows.push({ name: '...', text: 'and ' + more + ' more' });
+  }
+  this.reportControllers.forEach(function(ctrl) {
+    folder.remove(ctrl);
+  });
+  this.reportControllers = rows.map(function(row) {
+    return folder.add(row, 'text').name(row.name);
+  });
+  folder.domElement.parentNode.style.display = rows.length ? '' : 'none';
 };
 
 /**
@@ -196,22 +604,211 @@ geovelo.Controls.prototype.downloadData = function() {
   xhr.addEventListener('abort', handleError);
   xhr.addEventListener('error', handleError);
 
-  // When the file is loaded, parse it.
+  // When the file is loaded, parse it. The file name (sans query string) is
+  // used to detect the format.
+  var url = this.dataUrl;
+  var fileName = url.split(/[?#]/)[0];
   xhr.addEventListener('load', function(event) {
+    if (xhr.status >= 400) {
+      handleError(event);
+      return;
+    }
     this.progress = 100;
-    this.parseText(xhr.responseText);
+    this.parseText(xhr.response, fileName);
   }.bind(this));
 
   // Kick off the request.
-  xhr.open('GET', 'data/beacon-data.json');
+  xhr.open('GET', url);
+  xhr.responseType =
+      geovelo.formats.isBinary(fileName) ? 'arraybuffer' : 'text';
   xhr.send();
 };
 
 /**
- * Called when the user clicks the Load button on the controls. Triggers the
- * native file input's chooser dialog via a synthetic click event.
+ * Called when the user clicks the Save as binary button. Asks the data worker
+ * to write the loaded beacons, before preparation, in the gvb binary format
+ * (see geovelo.DataWorker.save). The result is offered as a download by
+ * downloadBinary.
+ */
+geovelo.Controls.prototype.saveBinary = function() {
+  if (!this.beacons) {
+    this.status = 'ERROR: No data to save.';
+    return;
+  }
+  this.status = 'saving data...';
+  this.worker.postMessage({ type: 'save' });
+};
+
+/**
+ * Offer a gvb file written by the data worker as a download.
+ *
+ * @param {!ArrayBuffer} buffer The contents of the gvb file.
+ */
+geovelo.Controls.prototype.downloadBinary = function(buffer) {
+  var blob = new Blob([buffer], { type: 'application/octet-stream' });
+  var url = URL.createObjectURL(blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = 'beacon-data.gvb';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(URL.revokeObjectURL.bind(URL, url), 0);
+  this.status = 'ready';
+};
+
+/**
+ * Download the catalog of available datasets. The catalog is a JSON array of
+ * objects with name, description and url properties; relative URLs are taken
+ * relative to the catalog. If the catalog loads, a dataset picker is added to
+ * the data folder. A missing catalog is not an error; entries lacking a name
+ * or URL are skipped.
+ *
+ * @param {string} catalogUrl URL of the catalog.
+ */
+geovelo.Controls.prototype.loadCatalog = function(catalogUrl) {
+  var xhr = new XMLHttpRequest();
+  xhr.addEventListener('load', function() {
+    if (xhr.status >= 400) {
+      return;
+    }
+    var catalog;
+    try {
+      catalog = JSON.parse(xhr.responseText);
+    } catch (err) {
+      this.report = 'dataset catalog is not valid JSON';
+      return;
+    }
+    if (!Array.isArray(catalog) || !catalog.length) {
+      return;
+    }
+    var base = new URL(catalogUrl, window.location.href);
+    this.catalog = [];
+    catalog.forEach(function(entry) {
+      // Entries without a name or a usable URL can't be picked.
+      if (!entry || typeof entry !== 'object' ||
+          typeof entry.name !== 'string' || typeof entry.url !== 'string') {
+        return;
+      }
+      try {
+        var url = new URL(entry.url, base).href;
+      } catch (err) {
+        return;
+      }
+      this.catalog.push({
+        name: entry.name,
+        description: entry.description || '',
+        url: url
+      });
+    }, this);
+    if (this.catalog.length < catalog.length) {
+      this.report = 'skipped ' + (catalog.length - this.catalog.length) +
+          ' invalid dataset catalog entries';
+    }
+    if (this.catalog.length) {
+      this.addDatasetPicker();
+    }
+  }.bind(this));
+  xhr.open('GET', catalogUrl);
+  xhr.send();
+};
+
+/**
+ * Add a dropdown to the data folder for picking a dataset from the catalog.
+ * Picking one downloads it. The dataset's description is shown as the tooltip
+ * of the picker. If the data URL isn't in the catalog, it's added as the first
+ * entry, named after its file, so that the picker shows what's loaded.
+ */
+geovelo.Controls.prototype.addDatasetPicker = function() {
+  // Start out on the catalog entry matching the data URL.
+  var dataUrl = new URL(this.dataUrl, window.location.href).href;
+  var current = this.catalog.filter(function(entry) {
+    return entry.url === dataUrl;
+  })[0];
+  if (!current) {
+    var name = dataUrl.split(/[?#]/)[0].split('/').pop() || dataUrl;
+    current = {
+      name: this.catalog.some(function(entry) {
+        return entry.name === name;
+      }) ? dataUrl : name,
+      description: dataUrl,
+      url: dataUrl
+    };
+    this.catalog.unshift(current);
+  }
+  this.dataset = current.name;
+
+  var names = this.catalog.map(function(entry) {
+    return entry.name;
+  });
+
+  var ctrl = this.folders.data.add(this, 'dataset', names);
+  var describe = function(name) {
+    var entry = this.catalog[names.indexOf(name)];
+    ctrl.__li.title = entry ? entry.description : '';
+    return entry;
+  }.bind(this);
+  describe(this.dataset);
+
+  ctrl.onChange(function(name) {
+    var entry = describe(name);
+    if (entry) {
+      this.dataUrl = entry.url;
+      this.downloadData();
+    }
+  }.bind(this));
+};
+
+/**
+ * Look up the value of a query parameter in the page's URL.
+ *
+ * @param {string} name Name of the query parameter.
+ * @return {?string} The decoded value, or null if the parameter is absent.
+ *     Malformed escapes are left as they are.
+ */
+geovelo.Controls.getQueryParameter = function(name) {
+  var decode = function(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (err) {
+      return text;
+    }
+  };
+  var pairs = window.location.search.replace(/^\?/, '').split('&');
+  for (var i = 0; i < pairs.length; i++) {
+    // Values may contain '=' themselves, as in URLs with query strings.
+    var separator = pairs[i].indexOf('=');
+    var key = separator === -1 ? pairs[i] : pairs[i].slice(0, separator);
+    var value = separator === -1 ? '' : pairs[i].slice(separator + 1);
+    if (decode(key) === name) {
+      return decode(value.replace(/\+/g, ' '));
+    }
+  }
+  return null;
+};
+
+/**
+ * Called when the user clicks the Load files button on the controls. Triggers
+ * the native file input's chooser dialog via a synthetic click event.
  */
 geovelo.Controls.prototype.loadFile = function() {
+  this.openChooser(this.loadFileInput);
+};
+
+/**
+ * Called when the user clicks the Load folder button on the controls. Triggers
+ * the native folder chooser dialog via a synthetic click event.
+ */
+geovelo.Controls.prototype.loadFolder = function() {
+  this.openChooser(this.loadFolderInput);
+};
+
+/**
+ * Open the chooser dialog of a file input via a synthetic click event.
+ *
+ * @param {HTMLInputElement} input The file input element.
+ */
+geovelo.Controls.prototype.openChooser = function(input) {
   var event = document.createEvent('MouseEvents');
   event.initMouseEvent(
       'click', true, true, window,
@@ -219,35 +816,65 @@ geovelo.Controls.prototype.loadFile = function() {
       false, false, false, false,
       0, null
   );
-  this.loadFileInput.value = null;
-  this.loadFileInput.dispatchEvent(event);
+  input.value = null;
+  input.dispatchEvent(event);
 };
 
 /**
- * Called when the user has selected a file from the native file chooser for
- * the load file input.
+ * Called when the user has selected files (or a folder) from the native file
+ * chooser for one of the load inputs. Reads each file in turn, then parses
+ * them all. Files in a folder whose extensions aren't recognized are skipped.
  */
 geovelo.Controls.prototype.loadFileChange = function(event) {
 
-  // Get the file.
-  var file = event.target.files[0];
-  if (file) {
+  // Get the files.
+  var files = Array.prototype.filter.call(event.target.files, function(file) {
+    return event.target !== this.loadFolderInput ||
+        geovelo.formats.hasKnownExtension(file.name);
+  }, this);
+  if (files.length) {
     this.status = 'reading data...';
   } else {
     this.status = 'ERROR: No file chosen.';
     return;
   }
 
-  // Set up a file reader.
-  var reader = new FileReader();
-  reader.onload = function(event) {
-    this.parseText(event.target.result);
-  }.bind(this);
-  reader.onprogress = function(event) {
-    if (event.lengthComputable) {
-      this.progress = 100 * event.loaded / event.total;
+  // Progress is measured against the total size of all files.
+  var totalSize = files.reduce(function(total, file) {
+    return total + file.size;
+  }, 0);
+  var loadedSize = 0;
+
+  // Read the files one at a time, collecting their contents. Binary formats
+  // are read into ArrayBuffers, the rest as text.
+  var contents = [];
+  var readNext = function() {
+    var file = files[contents.length];
+    if (!file) {
+      this.parseFiles(contents);
+      return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function(event) {
+      loadedSize += file.size;
+      contents.push({ name: file.name, content: event.target.result });
+      readNext();
+    }.bind(this);
+    reader.onerror = function() {
+      this.status = 'ERROR: Could not read ' + file.name + '.';
+    }.bind(this);
+    reader.onprogress = function(event) {
+      if (event.lengthComputable && totalSize) {
+        this.progress = 100 * (loadedSize + event.loaded) / totalSize;
+      }
+    }.bind(this);
+    if (geovelo.formats.isBinary(file.name)) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
     }
   }.bind(this);
-  reader.readAsText(file);
+  readNext();
 
 };
@@ -0,0 +1,555 @@
+/**
+ * @fileoverview Web Worker which parses and prepares data for the Geodetic
+ * Velocities visualization, keeping that heavy lifting off the UI thread.
+ *
+ * @license Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * The worker understands two kinds of message from the UI thread:
+ *
+ *   { type: 'prepare', files: [{name, content}, ...], csvMapping: {...},
+ *     options: {...} }
+ *   { type: 'update', options: {...} }
+ *
+ * A prepare message parses the files (CSV files with the given column
+ * mapping), validates their beacons and keeps the valid ones. Files which fail
+ * to parse and invalid beacons are skipped and listed in the dataset's issues,
+ * unless nothing at all is left, which is an error. Both messages then place
+ * the beacons on a regular time grid, merge them, fill gaps, find the extent
+ * of the data and compute the cumulative medians, according to the options
+ * (see geovelo.DataWorker.prepare()). So an update re-prepares the last files
+ * with new options, without having to send or parse them again. Along the way
+ * the worker posts messages back:
+ *
+ *   { type: 'status', status: 'parsing data...', progress: 0.5 }
+ *   { type: 'error', message: 'Invalid JSON.' }
+ *   { type: 'data-ready', dataset: {...} }
+ *
+ * The dataset's lon/lat arrays and medians are Float64Arrays whose buffers are
+ * transferred rather than copied. See geovelo.DataWorker.prepare() for the
+ * shape of the dataset.
+ */
+
+importScripts('web-mercator.js', 'data.js', 'formats.js');
+
+var geovelo;
+geovelo = geovelo || {};
+
+geovelo.DataWorker = {
+
+  /**
+   * Minimum time in ms between status messages, so as not to flood the UI
+   * thread with them.
+   */
+  statusInterval: 100,
+
+  /**
+   * Time at which the last status message was posted.
+   */
+  lastStatusTime: 0,
+
+  /**
+   * Post a status message, unless one was posted very recently.
+   *
+   * @param {string} status Description of what's going on.
+   * @param {number} progress Estimate of progress (0-1).
+   * @param {boolean=} force Post even if one was posted very recently.
+   */
+  postStatus: function(status, progress, force) {
+    var now = Date.now();
+    if (!force && now - this.lastStatusTime < this.statusInterval) {
+      return;
+    }
+    this.lastStatusTime = now;
+    self.postMessage({ type: 'status', status: status, progress: progress });
+  },
+
+  /**
+   * Parsed beacons from the last files loaded, one array per file, kept so
+   * that the data can be prepared again with different options.
+   */
+  datasets: null,
+
+  /**
+   * Problems found in the last files loaded, as {name, skipped, problems}
+   * objects. See geovelo.data.validateBeacons().
+   */
+  issues: null,
+
+  /**
+   * Parse and validate data files, keeping the valid beacons for prepare().
+   * When several files are loaded, a file which fails to parse is skipped and
+   * listed in the issues, as long as some other file has valid beacons.
+   *
+   * @param {!Array} files Array of objects with name and content properties,
+   *     where content is either text or, for binary formats, an ArrayBuffer.
+   * @param {Object=} csvMapping Column mapping for any CSV files.
+   * @param {Object=} options Data options, of which only tenvReference is
+   *     used here: the reference positions of beacons whose files only carry
+   *     displacements, see parseTenvReferences().
+   */
+  load: function(files, csvMapping, options) {
+    var references =
+        this.parseTenvReferences(options && options.tenvReference);
+    var datasets = [];
+    var issues = [];
+    var beaconCount = 0;
+    var prefix = '';
+    for (var i = 0; i < files.length; i++) {
+      var file = files[i];
+      this.postStatus('parsing data...', i / files.length, true);
+      if (files.length > 1) {
+        prefix = file.name + ': ';
+      }
+      var validated;
+      try {
+        var parsed =
+            geovelo.formats.parse(file.content, file.name, csvMapping);
+        validated = geovelo.data.validateBeacons(
+            geovelo.data.convertBeaconCoordinates(parsed, references));
+      } catch (err) {
+        if (files.length === 1) {
+          throw err;
+        }
+        issues.push({
+          name: file.name,
+          skipped: true,
+          problems: [err.message]
+        });
+        continue;
+      } finally {
+        file.content = null;
+      }
+      validated.issues.forEach(function(issue) {
+        issue.name = prefix + issue.name;
+        issues.push(issue);
+      });
+      datasets.push(validated.beacons);
+      beaconCount += validated.beacons.length;
+    }
+    if (!beaconCount) {
+      var first = issues[0];
+      throw Error('No valid beacons.' + (first ?
+          ' ' + first.name + ': ' + first.problems.join(', ') : ''));
+    }
+    this.datasets = datasets;
+    this.issues = issues;
+  },
+
+  /**
+   * Prepare the loaded beacons into a dataset ready for rendering.
+   *
+   * @param {Object=} options Data options, with these optional properties:
+   *  - timeStep - Seconds between time steps, or 'auto' (the default) to use
+   *    the finest sampling of any beacon. See geovelo.data.chooseStep(). A
+   *    step spanning more than geovelo.data.MAX_TIME_STEPS is an error.
+   *  - outlierThreshold - Number of scaled MADs beyond which a reading is an
+   *    outlier, to be treated as missing. 0 (the default) disables screening.
+   *    See geovelo.data.removeBeaconOutliers().
+   *  - outlierWindow - Number of time steps in the window for outlier
+   *    screening. Defaults to 21.
+   *  - offsetEpochs - Comma separated list of times at which every beacon's
+   *    position may jump, or, written as NAME=time, at which the named
+   *    beacon's position may jump. These are in addition to the times in each
+   *    beacon's own offsets array. See parseOffsetEpochs().
+   *  - detectOffsets - Whether to also detect jumps automatically. See
+   *    geovelo.data.detectSteps().
+   *  - offsetThreshold - Smallest jump to detect, in mm. Defaults to 10.
+   *  - offsetWindow - Number of time steps either side of a jump used to
+   *    detect and estimate it. Defaults to 10.
+   *  - correctOffsets - Whether to remove the jumps (the default) or leave
+   *    the series raw. See geovelo.data.correctSteps().
+   *  - seasonal - What to do with the annual and semi-annual signal: 'off'
+   *    (the default) to leave it, 'remove' to subtract it, or 'only' to show
+   *    nothing else. See geovelo.data.applySeasonalModel(). With 'only',
+   *    beacons too short to fit are skipped.
+   *  - smoothing - How to smooth each beacon's positions: 'none' (the
+   *    default), 'average', 'gaussian' or 'kalman'. See
+   *    geovelo.data.smoothSeries().
+   *  - smoothingStrength - How strongly to smooth. Defaults to 3.
+   *  - gapMode - Where to break beacons' lines rather than drawing them
+   *    across gaps in the readings: 'linear' (the default) for nowhere,
+   *    'break' for every gap, or 'short' for gaps of more than maxGap days.
+   *  - maxGap - Number of days in the longest gap to draw across in the
+   *    'short' gap mode. Defaults to 30.
+   *  - referenceFrame - Which movement to compute for the median row: the
+   *    network's 'median' (the default), that of a single 'station', the
+   *    mean of a 'set' of stations, or none for 'plate', where the rotation
+   *    of a tectonic plate is removed from every beacon instead, and for
+   *    'regional', where each beacon has its own common mode instead.
+   *  - referenceStations - Comma separated names of the reference stations.
+   *    Only the first is used for a single station.
+   *  - eulerPole - The plate's Euler pole for the 'plate' reference frame,
+   *    an object with lat and lon in degrees and rate in degrees per million
+   *    years. See geovelo.data.removePlateRotation().
+   *  - commonModeRadius - Distance in km within which beacons contribute to
+   *    each other's common mode in the 'regional' reference frame. Defaults
+   *    to 300. See geovelo.data.computeRegionalCommonMode().
+   * @return {!Object} The dataset, with these properties:
+   *  - beacons - Array of beacon data objects, regularized to the step, whose
+   *    lon/lat arrays are now Float64Arrays with outliers removed and gaps
+   *    filled. Each has a steps array of {timestamp, east, north} objects for
+   *    the jumps found (see geovelo.data.correctSteps()), a corrected
+   *    property saying whether they were removed, an outliers property
+   *    counting the removed readings,
+   *    and an observed Uint8Array holding 1 for each time step with a reading
+   *    of its own rather than one filled in, for fitting. Gaps are always
+   *    filled, so that lines can be recentred anywhere, but each beacon has
+   *    a breaks Uint8Array holding 1 for each time step where its line
+   *    shouldn't be drawn. See geovelo.data.findBreaks(). In the 'regional'
+   *    reference frame, each also has a commonMode object with lon and lat
+   *    Float64Arrays holding its cumulative common mode.
+   *  - conflicts - Array of {name, count} for beacons which had conflicting
+   *    readings when merging files.
+   *  - issues - Array of {name, skipped, problems} for files and beacons which
+   *    had problems (see load()), and for unreadable offset epochs and
+   *    reference stations which weren't found.
+   *  - step - Seconds between time steps.
+   *  - startTimestamp, endTimestamp, vertexCount - See analyzeBeacons().
+   *  - medians - Object with lon and lat Float64Arrays holding the movement
+   *    of the reference frame. See geovelo.data.computeMedians().
+   */
+  prepare: function(options) {
+    if (!this.datasets) {
+      throw Error('No data loaded.');
+    }
+    options = options || {};
+
+    var all = [].concat.apply([], this.datasets);
+    var step = +options.timeStep || geovelo.data.chooseStep(all);
+    var stepCount = geovelo.data.countTimeSteps(all, step);
+    if (stepCount > geovelo.data.MAX_TIME_STEPS) {
+      throw Error('A time step of ' + step + ' seconds gives ' + stepCount +
+          ' time steps, more than the ' + geovelo.data.MAX_TIME_STEPS +
+          ' allowed. Choose a longer time step.');
+    }
+    var datasets = this.datasets.map(function(beacons) {
+      return beacons.map(function(beacon) {
+        return geovelo.data.regularizeBeacon(beacon, step);
+      });
+    });
+
+    var merged = geovelo.data.mergeBeacons(datasets);
+    var beacons = merged.beacons;
+
+    // Correct steps, remove outliers, apply the seasonal model, smooth and
+    // fill gaps one beacon at a time, converting to typed arrays on the way.
+    var seasonal = options.seasonal || 'off';
+    var epochs = this.parseOffsetEpochs(options.offsetEpochs);
+    var offsetWindow = +options.offsetWindow || 10;
+    var offsetThreshold = +options.offsetThreshold || 10;
+    var threshold = +options.outlierThreshold || 0;
+    var outlierWindow = +options.outlierWindow || 21;
+    var smoothing = options.smoothing || 'none';
+    var smoothingStrength = +options.smoothingStrength || 3;
+    var gapMode = options.gapMode || 'linear';
+    var maxGap = gapMode === 'break' ? 0 : gapMode === 'short' ?
+        (+options.maxGap || 30) * 60 * 60 * 24 / step : Infinity;
+    var frame = options.referenceFrame || 'median';
+    if (frame === 'plate' && !options.eulerPole) {
+      throw Error('No Euler pole given for the plate reference frame.');
+    }
+    var unfitted = [];
+    this.postStatus('preparing data...', 0, true);
+    for (var i = 0; i < beacons.length; i++) {
+      var beacon = beacons[i];
+      ['lon', 'lat', 'height'].forEach(function(key) {
+        if (beacon[key]) {
+          beacon[key] = new Float64Array(beacon[key]);
+        }
+      });
+
+      var known = epochs.all.concat(epochs.byName[beacon.name] || [],
+          (beacon.offsets || []).map(geovelo.formats.parseTime));
+      var indices = known.map(function(timestamp) {
+        return Math.ceil((timestamp - beacon.start) / step);
+      });
+      if (options.detectOffsets) {
+        indices = indices.concat(geovelo.data.detectSteps(
+            beacon, offsetWindow, offsetThreshold));
+      }
+      indices = indices.filter(function(index, j) {
+        return index > 0 && index < beacon.lon.length &&
+            indices.indexOf(index) === j;
+      }).sort(function(a, b) {
+        return a - b;
+      });
+      beacon.corrected = options.correctOffsets !== false;
+      beacon.steps = geovelo.data.correctSteps(
+          beacon, indices, offsetWindow, beacon.corrected);
+      beacon.steps.forEach(function(jump) {
+        jump.timestamp = beacon.start + jump.index * step;
+      });
+
+      beacon.outliers = !threshold ? 0 :
+          geovelo.data.removeBeaconOutliers(beacon, outlierWindow, threshold);
+      if (beacon.outliers) {
+        var trimmed = geovelo.data.trimBeacon(beacon, step);
+        beacon.steps.forEach(function(jump) {
+          jump.index -= trimmed;
+        });
+      }
+      if (seasonal !== 'off' &&
+          !geovelo.data.applySeasonalModel(beacon, step, seasonal) &&
+          seasonal === 'only') {
+        // Unfitted, the beacon would show its raw motion among beacons showing
+        // only their seasonal signal, so leave it out.
+        unfitted.push(beacon.name);
+        beacons.splice(i--, 1);
+        continue;
+      }
+      if (frame === 'plate') {
+        geovelo.data.removePlateRotation(beacon, step, options.eulerPole);
+      }
+      beacon.observed = new Uint8Array(beacon.lon.length);
+      for (var j = 0; j < beacon.lon.length; j++) {
+        beacon.observed[j] = beacon.lon[j] && beacon.lat[j] ? 1 : 0;
+      }
+      beacon.breaks = geovelo.data.findBreaks(beacon.observed, maxGap);
+      if (smoothing !== 'none') {
+        geovelo.data.smoothBeacon(beacon, smoothing, smoothingStrength);
+      }
+      ['lon', 'lat', 'height'].forEach(function(key) {
+        if (beacon[key]) {
+          geovelo.data.interpolateGaps(beacon[key]);
+        }
+      });
+      this.postStatus('preparing data...', (i + 1) / beacons.length);
+    }
+
+    // Find the beacons defining the reference frame. In a plate-fixed frame
+    // the plate's rotation has already been removed, and in a regional frame
+    // each beacon has its own common mode, so there are none.
+    var reference = frame === 'plate' || frame === 'regional' ? [] : beacons;
+    if (!beacons.length) {
+      throw Error('No beacons span the year the seasonal model needs.');
+    }
+    var issues = this.issues.concat(unfitted.map(function(name) {
+      return {
+        name: name,
+        skipped: true,
+        problems: ['too short for the seasonal model']
+      };
+    }), epochs.unreadable.map(function(entry) {
+      return {
+        name: entry,
+        skipped: false,
+        problems: ['unreadable offset epoch']
+      };
+    }));
+    if (frame === 'station' || frame === 'set') {
+      var names = (options.referenceStations || '').split(',')
+          .map(function(name) {
+            return name.trim();
+          }).filter(function(name) {
+            return name;
+          });
+      if (frame === 'station') {
+        names = names.slice(0, 1);
+      }
+      reference = beacons.filter(function(beacon) {
+        return names.indexOf(String(beacon.name)) !== -1;
+      });
+      issues = issues.concat(names.filter(function(name) {
+        return !reference.some(function(beacon) {
+          return String(beacon.name) === name;
+        });
+      }).map(function(name) {
+        return {
+          name: name,
+          skipped: false,
+          problems: ['reference station not found']
+        };
+      }));
+    }
+
+    if (frame === 'regional') {
+      this.postStatus('computing common modes...', 0, true);
+      var commonModes = geovelo.data.computeRegionalCommonMode(
+          beacons, step, +options.commonModeRadius || 300,
+          this.postStatus.bind(this, 'computing common modes...'));
+      beacons.forEach(function(beacon, i) {
+        beacon.commonMode = commonModes[i];
+      });
+    }
+
+    var extent = geovelo.data.analyzeBeacons(beacons, step);
+    this.postStatus('computing medians...', 0, true);
+    var medians = geovelo.data.computeMedians(
+        reference, extent.startTimestamp, extent.endTimestamp, step,
+        this.postStatus.bind(this, 'computing medians...'),
+        frame === 'median' ? geovelo.data.median : geovelo.data.mean);
+
+    return {
+      beacons: beacons,
+      conflicts: merged.conflicts,
+      issues: issues,
+      step: step,
+      startTimestamp: extent.startTimestamp,
+      endTimestamp: extent.endTimestamp,
+      vertexCount: extent.vertexCount,
+      medians: medians
+    };
+  },
+
+  /**
+   * Write the loaded beacons in the gvb binary format, as they were loaded
+   * rather than prepared, so that saving and loading them again gives back
+   * the same readings, times and offsets. See geovelo.formats.writeBinary().
+   *
+   * @return {!ArrayBuffer} The contents of the gvb file.
+   */
+  save: function() {
+    if (!this.datasets) {
+      throw Error('No data to save.');
+    }
+    return geovelo.formats.writeBinary(
+        geovelo.data.collectBeacons(this.datasets));
+  },
+
+  /**
+   * Parse a semicolon separated list of reference positions for tenv files.
+   * Each entry is "lat, lon, height" in degrees and meters, applying to all
+   * beacons, or NAME=lat, lon, height, applying to the named beacon only. The
+   * lon and height may be left out, in which case the longitude from the file
+   * and a height of 0 are used.
+   *
+   * @param {string=} text The list of reference positions.
+   * @return {!Object} Object with an all position for every beacon (or null),
+   * and a byName object mapping beacon names to positions, each a
+   * {lat, lon, height} object where lon and height may be null.
+   */
+  parseTenvReferences: function(text) {
+    var references = { all: null, byName: {} };
+    (text || '').split(';').forEach(function(entry) {
+      entry = entry.trim();
+      if (!entry) {
+        return;
+      }
+      var separator = entry.indexOf('=');
+      var name = separator === -1 ? null : entry.slice(0, separator).trim();
+      var values = entry.slice(separator + 1).split(',').map(function(value) {
+        return value.trim() === '' ? NaN : +value;
+      });
+      if (values.length > 3 || values.some(isNaN) ||
+          !(values[0] >= -90 && values[0] <= 90)) {
+        throw Error('Unreadable tenv reference: ' + entry);
+      }
+      var position = {
+        lat: values[0],
+        lon: values.length > 1 ? values[1] : null,
+        height: values.length > 2 ? values[2] : null
+      };
+      if (name === null) {
+        references.all = position;
+      } else {
+        references.byName[name] = position;
+      }
+    });
+    return references;
+  },
+
+  /**
+   * Parse a comma separated list of offset epochs. Each entry is either a time
+   * in any form geovelo.formats.parseTime() accepts, applying to all beacons,
+   * or NAME=time, applying to the named beacon only. Entries which can't be
+   * read, as while they're being typed, are skipped and listed.
+   *
+   * @param {string=} text The list of offset epochs.
+   * @return {!Object} Object with an all array of Unix timestamps for every
+   * beacon, a byName object mapping beacon names to arrays of timestamps, and
+   * an unreadable array of the entries which were skipped.
+   */
+  parseOffsetEpochs: function(text) {
+    var epochs = { all: [], byName: {}, unreadable: [] };
+    (text || '').split(',').forEach(function(entry) {
+      entry = entry.trim();
+      if (!entry) {
+        return;
+      }
+      var separator = entry.indexOf('=');
+      var name = separator === -1 ? null : entry.slice(0, separator).trim();
+      var timestamp =
+          geovelo.formats.parseTime(entry.slice(separator + 1).trim());
+      if (timestamp === null) {
+        epochs.unreadable.push(entry);
+        return;
+      }
+      if (name === null) {
+        epochs.all.push(timestamp);
+      } else {
+        (epochs.byName[name] = epochs.byName[name] || []).push(timestamp);
+      }
+    });
+    return epochs;
+  },
+
+  /**
+   * Collect the ArrayBuffers of a dataset's typed arrays so they can be
+   * transferred to the UI thread without copying.
+   *
+   * @param {!Object} dataset The dataset from prepare().
+   * @return {!Array} Array of ArrayBuffers.
+   */
+  getTransferables: function(dataset) {
+    var buffers = [dataset.medians.lon.buffer, dataset.medians.lat.buffer];
+    dataset.beacons.forEach(function(beacon) {
+      ['lon', 'lat', 'height', 'observed', 'breaks'].forEach(function(key) {
+        if (beacon[key]) {
+          buffers.push(beacon[key].buffer);
+        }
+      });
+      if (beacon.commonMode) {
+        buffers.push(beacon.commonMode.lon.buffer,
+            beacon.commonMode.lat.buffer);
+      }
+    });
+    return buffers;
+  }
+
+};
+
+self.onmessage = function(event) {
+  var message = event.data;
+  var worker = geovelo.DataWorker;
+  if (message.type === 'save') {
+    var buffer;
+    try {
+      buffer = worker.save();
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+      return;
+    }
+    self.postMessage({ type: 'binary', buffer: buffer }, [buffer]);
+    return;
+  }
+  if (message.type !== 'prepare' && message.type !== 'update') {
+    return;
+  }
+  var dataset;
+  try {
+    if (message.type === 'prepare') {
+      worker.load(message.files, message.csvMapping, message.options);
+    }
+    dataset = worker.prepare(message.options);
+    dataset.update = message.type === 'update';
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+    return;
+  }
+  self.postMessage({ type: 'data-ready', dataset: dataset },
+      worker.getTransferables(dataset));
+};
@@ -83,8 +83,9 @@ geovelo.data = {
 
   /**
    * A beacon object has a 'lat' and a 'lon' property, both point to arrays of
-   * numbers. Given an array of beacon objects, use interpolateGaps to fill in
-   * any missing latitude and longitude values.
+   * numbers, and optionally a 'height' property. Given an array of beacon
+   * objects, use interpolateGaps to fill in any missing latitude, longitude and
+   * height values.
    *
    * @param {!Array} beacons An array of beacon data objects.
    * @return {!Array} The same array that was passed in.
@@ -93,7 +94,2045 @@ geovelo.data = {
     for (var i = 0, ii = beacons.length; i < ii; i++) {
       geovelo.data.interpolateGaps(beacons[i].lat);
       geovelo.data.interpolateGaps(beacons[i].lon);
+      if (beacons[i].height) {
+        geovelo.data.interpolateGaps(beacons[i].height);
+      }
+    }
+  },
+
+  /**
+   * Find the time steps which fall in gaps too long to draw a line across.
+   * Gaps are runs of time steps without a reading of their own. Readings
+   * before the first and after the last aren't gaps.
+   *
+   * @param {!Uint8Array} observed Array holding 1 for each time step with a
+   *     reading and 0 for each without.
+   * @param {number} maxLength Number of time steps in the longest gap to draw
+   *     across, 0 to break at every gap, or Infinity to break at none.
+   * @return {!Uint8Array} Array holding 1 for each time step in a gap longer
+   *     than maxLength, and 0 otherwise.
+   */
+  findBreaks: function(observed, maxLength) {
+    var len = observed.length;
+    var breaks = new Uint8Array(len);
+    var last = -1;
+    for (var i = 0; i < len; i++) {
+      if (!observed[i]) {
+        continue;
+      }
+      if (last !== -1 && i - last - 1 > maxLength) {
+        for (var j = last + 1; j < i; j++) {
+          breaks[j] = 1;
+        }
+      }
+      last = i;
+    }
+    return breaks;
+  },
+
+  /**
+   * Given an array, treat falsey values as missing data and find the values
+   * which are outliers: those further from the median of the surrounding window
+   * than threshold times the scaled median absolute deviation (MAD) of that
+   * window. The MAD is scaled by 1.4826 so that it estimates the standard
+   * deviation of normally distributed values.
+   *
+   * Windows whose values don't vary at all (a MAD of 0) flag nothing.
+   *
+   * @param {!Array} arry An array of numbers and possibly other falsey values.
+   * @param {number} window Number of elements in the window centered on each
+   *     value, including missing ones.
+   * @param {number} threshold Number of scaled MADs beyond which a value is an
+   *     outlier.
+   * @return {!Uint8Array} Array holding 1 for each outlier and 0 otherwise.
+   */
+  findOutliers: function(arry, window, threshold) {
+    var len = arry.length;
+    var flags = new Uint8Array(len);
+    var half = Math.floor(window / 2);
+    var median = geovelo.data.median;
+    for (var i = 0; i < len; i++) {
+      if (!arry[i]) {
+        continue;
+      }
+      var values = [];
+      for (var j = Math.max(0, i - half); j <= Math.min(len - 1, i + half);
+          j++) {
+        if (arry[j]) {
+          values.push(arry[j]);
+        }
+      }
+      var center = median(values);
+      var deviations = values.map(function(value) {
+        return Math.abs(value - center);
+      });
+      var mad = 1.4826 * median(deviations);
+      if (mad && Math.abs(arry[i] - center) > threshold * mad) {
+        flags[i] = 1;
+      }
+    }
+    return flags;
+  },
+
+  /**
+   * Find outliers in a beacon's longitude and latitude series (see
+   * findOutliers) and treat them as missing data, by setting the lon, lat and
+   * height (if any) values of each epoch where either series has an outlier to
+   * 0. This should be done before filling gaps, and followed by trimBeacon(),
+   * since an outlier may be the first or last reading.
+   *
+   * @param {!Object} beacon A beacon data object.
+   * @param {number} window Number of epochs in the window.
+   * @param {number} threshold Number of scaled MADs beyond which a value is an
+   *     outlier.
+   * @return {number} Number of epochs removed.
+   */
+  removeBeaconOutliers: function(beacon, window, threshold) {
+    var lonFlags = geovelo.data.findOutliers(beacon.lon, window, threshold);
+    var latFlags = geovelo.data.findOutliers(beacon.lat, window, threshold);
+    var removed = 0;
+    for (var i = 0; i < beacon.lon.length; i++) {
+      if (lonFlags[i] || latFlags[i]) {
+        beacon.lon[i] = 0;
+        beacon.lat[i] = 0;
+        if (beacon.height) {
+          beacon.height[i] = 0;
+        }
+        removed++;
+      }
+    }
+    return removed;
+  },
+
+  /**
+   * Drop the missing readings before a beacon's first reading and after its
+   * last, advancing its start to match, so that its first epoch has a
+   * position. interpolateGaps() can't fill these, so this should be done after
+   * anything which sets readings as missing, such as removeBeaconOutliers().
+   * A beacon with no readings at all is left alone.
+   *
+   * @param {!Object} beacon A beacon data object, regularized to the step.
+   * @param {number} step Seconds between consecutive readings.
+   * @return {number} Number of readings dropped from the start.
+   */
+  trimBeacon: function(beacon, step) {
+    var first = 0;
+    var last = beacon.lon.length - 1;
+    while (first <= last && !(beacon.lon[first] && beacon.lat[first])) {
+      first++;
+    }
+    while (last > first && !(beacon.lon[last] && beacon.lat[last])) {
+      last--;
+    }
+    if (first > last || (!first && last === beacon.lon.length - 1)) {
+      return 0;
+    }
+    ['lon', 'lat', 'height'].forEach(function(key) {
+      if (beacon[key]) {
+        beacon[key] = beacon[key].slice(first, last + 1);
+      }
+    });
+    beacon.start += first * step;
+    return first;
+  },
+
+  /**
+   * Given an array, treat falsey values as missing data and smooth the rest
+   * in place, by one of these methods:
+   *  - 'average' - Centred moving average over strength values either side.
+   *  - 'gaussian' - Weighted average with a Gaussian kernel whose standard
+   *    deviation is strength values, cut off at three standard deviations.
+   *  - 'kalman' - Kalman filter and Rauch-Tung-Striebel smoother for a random
+   *    walk observed with noise, where the noise's standard deviation is
+   *    strength times that of each step of the walk.
+   * Missing values are skipped over and stay missing.
+   *
+   * @param {!Array} arry An array of numbers and possibly other falsey values.
+   * @param {string} method One of 'average', 'gaussian' or 'kalman'.
+   * @param {number} strength How strongly to smooth, see above.
+   * @return {!Array} The same array that was passed in.
+   */
+  smoothSeries: function(arry, method, strength) {
+    if (method === 'kalman') {
+      return geovelo.data.kalmanSmooth(arry, strength);
+    }
+
+    // Weights of the values at each distance from the one being smoothed.
+    var weights = [];
+    var k;
+    if (method === 'average') {
+      for (k = 0; k <= Math.round(strength); k++) {
+        weights.push(1);
+      }
+    } else if (method === 'gaussian') {
+      for (k = 0; k <= Math.ceil(3 * strength); k++) {
+        weights.push(Math.exp(-k * k / (2 * strength * strength)));
+      }
+    } else {
+      throw Error('Unknown smoothing method: ' + method);
+    }
+
+    var len = arry.length;
+    var half = weights.length - 1;
+    var source = Array.prototype.slice.call(arry);
+    for (var i = 0; i < len; i++) {
+      if (!source[i]) {
+        continue;
+      }
+      var sum = 0;
+      var total = 0;
+      for (var j = Math.max(0, i - half); j <= Math.min(len - 1, i + half);
+          j++) {
+        if (source[j]) {
+          var weight = weights[Math.abs(j - i)];
+          sum += weight * source[j];
+          total += weight;
+        }
+      }
+      arry[i] = sum / total;
+    }
+    return arry;
+  },
+
+  /**
+   * Smooth an array in place with a Kalman filter and Rauch-Tung-Striebel
+   * smoother, see smoothSeries().
+   *
+   * @param {!Array} arry An array of numbers and possibly other falsey values.
+   * @param {number} strength Ratio of the standard deviation of the noise to
+   *     that of each step of the random walk.
+   * @return {!Array} The same array that was passed in.
+   */
+  kalmanSmooth: function(arry, strength) {
+    var len = arry.length;
+    var first = 0;
+    while (first < len && !arry[first]) {
+      first++;
+    }
+    if (first === len) {
+      return arry;
+    }
+
+    // Work relative to the first value, and in units of the noise variance.
+    var origin = arry[first];
+    var q = 1 / (strength * strength);
+    var filtered = new Float64Array(len);
+    var variances = new Float64Array(len);
+    var x = 0;
+    var p = 1;
+    for (var i = first; i < len; i++) {
+      if (i > first) {
+        p += q;
+      }
+      if (arry[i]) {
+        var gain = p / (p + 1);
+        x += gain * (arry[i] - origin - x);
+        p *= 1 - gain;
+      }
+      filtered[i] = x;
+      variances[i] = p;
+    }
+
+    // Run backwards, blending each filtered value with the smoothed next one.
+    var smoothed = filtered[len - 1];
+    arry[len - 1] = arry[len - 1] && origin + smoothed;
+    for (i = len - 2; i >= first; i--) {
+      var blend = variances[i] / (variances[i] + q);
+      smoothed = filtered[i] + blend * (smoothed - filtered[i]);
+      if (arry[i]) {
+        arry[i] = origin + smoothed;
+      }
+    }
+    return arry;
+  },
+
+  /**
+   * Smooth a beacon's lon, lat and height (if any) series in place, see
+   * smoothSeries(). This should be done before filling gaps.
+   *
+   * @param {!Object} beacon A beacon data object.
+   * @param {string} method One of 'average', 'gaussian' or 'kalman'.
+   * @param {number} strength How strongly to smooth.
+   */
+  smoothBeacon: function(beacon, method, strength) {
+    ['lon', 'lat', 'height'].forEach(function(key) {
+      if (beacon[key]) {
+        geovelo.data.smoothSeries(beacon[key], method, strength);
+      }
+    });
+  },
+
+  /**
+   * Collect the non-missing values of an array within a range of indices.
+   *
+   * @param {!Array} arry An array of numbers and possibly other falsey values.
+   * @param {number} from First index of the range (inclusive).
+   * @param {number} to Last index of the range (exclusive).
+   * @return {!Array} The non-missing values.
+   */
+  collectValues: function(arry, from, to) {
+    var values = [];
+    for (var i = Math.max(0, from); i < Math.min(arry.length, to); i++) {
+      if (arry[i]) {
+        values.push(arry[i]);
+      }
+    }
+    return values;
+  },
+
+  /**
+   * Find the time step indices at which a beacon's position jumps, as it does
+   * with earthquakes and equipment changes. At each reading, the means of
+   * the window of readings before it and the window from it onwards are
+   * compared. Where they are further apart horizontally than the threshold,
+   * and further apart than at any other reading within a window's width, the
+   * reading is taken to be the first after a step.
+   *
+   * @param {!Object} beacon A beacon data object whose missing readings are 0.
+   * @param {number} window Number of time steps in each window.
+   * @param {number} threshold Smallest jump to detect, in mm.
+   * @return {!Array} Ascending time step indices of the readings after steps.
+   */
+  detectSteps: function(beacon, window, threshold) {
+    var data = geovelo.data;
+    var length = beacon.lon.length;
+    var minCount = Math.max(2, Math.floor(window / 2));
+    var jumps = new Float64Array(length);
+    var scale = null;
+    for (var i = 1; i < length; i++) {
+      if (!beacon.lon[i] || !beacon.lat[i]) {
+        continue;
+      }
+      scale = scale || data.getMillimetersPerDegree(beacon.lat[i]);
+      var lonBefore = data.collectValues(beacon.lon, i - window, i);
+      var latBefore = data.collectValues(beacon.lat, i - window, i);
+      var lonAfter = data.collectValues(beacon.lon, i, i + window);
+      var latAfter = data.collectValues(beacon.lat, i, i + window);
+      if (lonBefore.length < minCount || lonAfter.length < minCount) {
+        continue;
+      }
+      var east = (data.mean(lonAfter) - data.mean(lonBefore)) * scale.lon;
+      var north = (data.mean(latAfter) - data.mean(latBefore)) * scale.lat;
+      jumps[i] = Math.sqrt(east * east + north * north);
+    }
+
+    var steps = [];
+    for (i = 0; i < length; i++) {
+      if (jumps[i] <= threshold) {
+        continue;
+      }
+      var isPeak = true;
+      for (var j = Math.max(0, i - window);
+          j < Math.min(length, i + window); j++) {
+        if (jumps[j] > jumps[i] || (jumps[j] === jumps[i] && j < i)) {
+          isPeak = false;
+          break;
+        }
+      }
+      if (isPeak) {
+        steps.push(i);
+      }
+    }
+    return steps;
+  },
+
+  /**
+   * Estimate the jump in a beacon's position at each of the given time step
+   * indices, as the difference between the medians of the window of readings
+   * from the index onwards and the window before it. Optionally remove each
+   * jump by subtracting it from every reading from the index onwards, so that
+   * the series is continuous.
+   *
+   * @param {!Object} beacon A beacon data object whose missing readings are 0.
+   * @param {!Array} indices Ascending time step indices of readings after
+   *     steps.
+   * @param {number} window Number of time steps in each window.
+   * @param {boolean} remove Whether to remove the jumps from the series.
+   * @return {!Array} One {index, east, north} object per step for which there
+   * were readings on both sides, where east and north are the jump in mm.
+   */
+  correctSteps: function(beacon, indices, window, remove) {
+    var data = geovelo.data;
+    var keys = beacon.height ? ['lon', 'lat', 'height'] : ['lon', 'lat'];
+    var steps = [];
+    indices.forEach(function(index) {
+      var jump = {};
+      var lat = 0;
+      var valid = keys.every(function(key) {
+        var before = data.collectValues(beacon[key], index - window, index);
+        var after = data.collectValues(beacon[key], index, index + window);
+        var medianAfter = data.median(after);
+        jump[key] = medianAfter - data.median(before);
+        if (key === 'lat') {
+          lat = medianAfter;
+        }
+        return before.length && after.length;
+      });
+      if (!valid) {
+        return;
+      }
+      if (remove) {
+        keys.forEach(function(key) {
+          var values = beacon[key];
+          for (var i = index; i < values.length; i++) {
+            if (values[i]) {
+              values[i] -= jump[key];
+            }
+          }
+        });
+      }
+      var scale = data.getMillimetersPerDegree(lat);
+      steps.push({
+        index: index,
+        east: jump.lon * scale.lon,
+        north: jump.lat * scale.lat
+      });
+    });
+    return steps;
+  },
+
+  /**
+   * Seconds between consecutive readings of a beacon which has neither a times
+   * array nor a step property: one day.
+   */
+  DEFAULT_STEP: 60 * 60 * 24,
+
+  /**
+   * Common sampling intervals in seconds, to which inferred steps are snapped
+   * so that slightly irregular sampling doesn't produce an odd grid.
+   */
+  STANDARD_STEPS: [
+    1, 5, 15, 30, 60, 5 * 60, 15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60,
+    3 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60
+  ],
+
+  /**
+   * Infer how many seconds apart a beacon's readings are. For a beacon with an
+   * explicit times array, this is the median interval between consecutive
+   * times, snapped to the nearest of STANDARD_STEPS. Otherwise it's the
+   * beacon's step property, or one day.
+   *
+   * @param {!Object} beacon A beacon data object.
+   * @return {number} Seconds between readings.
+   */
+  inferStep: function(beacon) {
+    if (!beacon.times) {
+      return beacon.step || geovelo.data.DEFAULT_STEP;
+    }
+    var intervals = [];
+    for (var i = 1; i < beacon.times.length; i++) {
+      var interval = beacon.times[i] - beacon.times[i - 1];
+      if (interval > 0) {
+        intervals.push(interval);
+      }
+    }
+    var interval = geovelo.data.median(intervals);
+    if (!interval) {
+      return geovelo.data.DEFAULT_STEP;
+    }
+    var nearest = geovelo.data.DEFAULT_STEP;
+    geovelo.data.STANDARD_STEPS.forEach(function(step) {
+      if (Math.abs(Math.log(step / interval)) <
+          Math.abs(Math.log(nearest / interval))) {
+        nearest = step;
+      }
+    });
+    return nearest;
+  },
+
+  /**
+   * Most time steps a dataset may span. Each beacon's row of the
+   * BeaconVertexTexture holds two time steps per pixel, so this keeps the
+   * texture within 8192 pixels wide, which nearly all devices support.
+   */
+  MAX_TIME_STEPS: 16384,
+
+  /**
+   * Count the time steps that a set of beacons would span once regularized to
+   * a step (see regularizeBeacon), without allocating them.
+   *
+   * @param {!Array} beacons An array of beacon data objects.
+   * @param {number} step Seconds between time steps.
+   * @return {number} The number of time steps from the earliest reading of any
+   *     beacon to the latest.
+   */
+  countTimeSteps: function(beacons, step) {
+    var start = Infinity;
+    var end = -Infinity;
+    for (var i = 0, ii = beacons.length; i < ii; i++) {
+      var beacon = beacons[i];
+      var last = beacon.lon.length - 1;
+      start = Math.min(start, beacon.times ? beacon.times[0] : beacon.start);
+      end = Math.max(end, beacon.times ? beacon.times[last] : beacon.start +
+          last * (beacon.step || geovelo.data.DEFAULT_STEP));
+    }
+    return isFinite(start) ? Math.round((end - start) / step) + 1 : 0;
+  },
+
+  /**
+   * Choose the base step for a set of beacons: the smallest step inferred for
+   * any of them (see inferStep), so that no beacon loses resolution. If that
+   * would span more than MAX_TIME_STEPS, the smallest of STANDARD_STEPS that
+   * doesn't is chosen instead.
+   *
+   * @param {!Array} beacons An array of beacon data objects.
+   * @return {number} Seconds between readings.
+   */
+  chooseStep: function(beacons) {
+    var data = geovelo.data;
+    var step = Infinity;
+    for (var i = 0, ii = beacons.length; i < ii; i++) {
+      step = Math.min(step, data.inferStep(beacons[i]));
+    }
+    if (!isFinite(step)) {
+      return data.DEFAULT_STEP;
+    }
+    for (var j = 0; j < data.STANDARD_STEPS.length &&
+        data.countTimeSteps(beacons, step) > data.MAX_TIME_STEPS; j++) {
+      step = Math.max(step, data.STANDARD_STEPS[j]);
+    }
+    return step;
+  },
+
+  /**
+   * Place a beacon's readings on a regular grid of time steps, as the rest of
+   * the pipeline expects. Readings are taken at the beacon's explicit times if
+   * it has them, otherwise at its own step (or one day) from its start.
+   *
+   * The grid is aligned to multiples of the step since the Unix epoch, except
+   * that a beacon without times whose own step already matches is left as is.
+   * Each reading goes in the nearest grid slot. Readings that fall in the same
+   * slot are averaged, and slots with no readings are left as 0 (missing). The
+   * grid starts at the first reading with a position and ends at the last, so
+   * that the regularized beacon never starts with a missing reading.
+   *
+   * @param {!Object} beacon A beacon data object.
+   * @param {number} step Seconds between grid slots.
+   * @return {!Object} A new beacon data object with name, start, step, lon and
+   *     lat properties, plus height and offsets if the beacon has them.
+   */
+  regularizeBeacon: function(beacon, step) {
+    var keys = beacon.height ? ['lon', 'lat', 'height'] : ['lon', 'lat'];
+    var regular = {
+      name: beacon.name,
+      start: beacon.start,
+      step: step
+    };
+    if (beacon.offsets) {
+      regular.offsets = beacon.offsets;
+    }
+
+    var beaconStep = beacon.step || geovelo.data.DEFAULT_STEP;
+    if (!beacon.times && beaconStep === step) {
+      keys.forEach(function(key) {
+        regular[key] = beacon[key];
+      });
+      geovelo.data.trimBeacon(regular, step);
+      return regular;
+    }
+
+    var getTime = function(i) {
+      return beacon.times ? beacon.times[i] : beacon.start + i * beaconStep;
+    };
+    var hasReading = function(i) {
+      return beacon.lon[i] && beacon.lat[i];
+    };
+
+    // The grid spans the first to the last reading with a position.
+    var count = beacon.lon.length;
+    var first = 0;
+    var last = count - 1;
+    while (first < last && !hasReading(first)) {
+      first++;
+    }
+    while (last > first && !hasReading(last)) {
+      last--;
+    }
+    var firstTime = getTime(first);
+    var lastTime = getTime(last);
+    regular.start = Math.round(firstTime / step) * step;
+    var length = Math.round((lastTime - regular.start) / step) + 1;
+
+    // Sum up the readings falling in each slot, then divide by the counts.
+    var counts = new Float64Array(length);
+    keys.forEach(function(key) {
+      regular[key] = new Float64Array(length);
+    });
+    for (var i = first; i <= last; i++) {
+      if (!hasReading(i)) {
+        continue;
+      }
+      var slot = Math.round((getTime(i) - regular.start) / step);
+      counts[slot]++;
+      keys.forEach(function(key) {
+        regular[key][slot] += beacon[key][i];
+      });
+    }
+    for (var slot = 0; slot < length; slot++) {
+      if (counts[slot] > 1) {
+        keys.forEach(function(key) {
+          regular[key][slot] /= counts[slot];
+        });
+      }
+    }
+
+    return regular;
+  },
+
+  /**
+   * Count the total number of vertices that the overlay will need to draw the
+   * beacons' lines, and find the minimum and maximum timestamps.
+   *
+   * To save on the number of objects that have to be rendered, the overlay
+   * constructs one big geometry rather than thousands of smaller ones. So it
+   * crams all of the beacons' lines into one big vertex array, adding in
+   * separator vertices to break the line. Hence two extra vertices per beacon.
+   *
+   * @param {!Array} beacons An array of beacon data objects, all regularized to
+   *     the same step (see regularizeBeacon).
+   * @param {number} step Seconds between consecutive readings.
+   * @return {!Object} Object with startTimestamp, endTimestamp and vertexCount.
+   */
+  analyzeBeacons: function(beacons, step) {
+    var extent = {
+      startTimestamp: Infinity,
+      endTimestamp: -Infinity,
+      vertexCount: 0
+    };
+    for (var i = 0, ii = beacons.length; i < ii; i++) {
+      var beacon = beacons[i];
+      extent.vertexCount += beacon.lon.length + 2;
+      extent.startTimestamp = Math.min(extent.startTimestamp, beacon.start);
+      extent.endTimestamp = Math.max(extent.endTimestamp,
+          beacon.start + beacon.lon.length * step);
+    }
+    return extent;
+  },
+
+  /**
+   * Compute the cumulative median movement of the network for each time step
+   * from startTimestamp to endTimestamp (inclusive), in Web Mercator projected
+   * coordinates. Each step's median is taken over the step-on-step deltas of
+   * all beacons with a reading at that step, and added to the previous step's
+   * cumulative median.
+   *
+   * Passing a different combine function, such as mean, gives other measures
+   * of the network's movement. Passing only some of the beacons gives the
+   * movement of those beacons, for example to use them as the reference frame.
+   *
+   * @param {!Array} beacons An array of beacon data objects, all regularized to
+   *     the same step (see regularizeBeacon).
+   * @param {number} startTimestamp The earliest timestamp of any reading.
+   * @param {number} endTimestamp The latest timestamp of any reading.
+   * @param {number} step Seconds between consecutive readings.
+   * @param {Function=} onProgress Called periodically with progress (0-1).
+   * @param {Function=} combine Combines an array of deltas into one. Defaults
+   *     to median.
+   * @return {!Object} Object with lon and lat Float64Arrays, one entry per
+   *     time step.
+   */
+  computeMedians: function(beacons, startTimestamp, endTimestamp, step,
+      onProgress, combine) {
+    combine = combine || geovelo.data.median;
+    var getX = geovelo.WebMercator.getX;
+    var getY = geovelo.WebMercator.getY;
+
+    var stepCount = Math.round((endTimestamp - startTimestamp) / step) + 1;
+    var medians = {
+      lon: new Float64Array(stepCount),
+      lat: new Float64Array(stepCount)
+    };
+
+    var cumulativeMedianLon = 0;
+    var cumulativeMedianLat = 0;
+    for (var t = 0; t < stepCount; t++) {
+      var timestamp = startTimestamp + t * step;
+
+      // Lists of all of the longitudinal and latitudinal deltas for all beacons
+      // that have data for this timestamp.
+      var deltaLons = [];
+      var deltaLats = [];
+
+      for (var j = 0; j < beacons.length; j++) {
+        var beacon = beacons[j];
+
+        // Skip this beacon if the current timestamp is either before its first
+        // reading or after its last.
+        if (timestamp < beacon.start ||
+            timestamp > beacon.start + step * beacon.lon.length) {
+          continue;
+        }
+
+        // Look up the lon and lat values for this beacon.
+        var index = Math.round((timestamp - beacon.start) / step);
+        var lon = beacon.lon[index];
+        var lat = beacon.lat[index];
+        if (!lon || !lat) {
+          continue;
+        }
+
+        // Look up the previous lon and lat values, may have to slide backwards
+        // over missing data.
+        var prevLon = 0;
+        var prevLat = 0;
+        var prevIndex = index - 1;
+        while (prevIndex >= 0 && (!prevLon || !prevLat)) {
+          prevLon = beacon.lon[prevIndex];
+          prevLat = beacon.lat[prevIndex];
+          prevIndex--;
+        }
+        if (!prevLon || !prevLat) {
+          // Couldn't find a previous lon/lat to diff against.
+          continue;
+        }
+
+        // Add each delta to the appropriate list.
+        deltaLons.push(getX(lon) - getX(prevLon));
+        deltaLats.push(getY(lat) - getY(prevLat));
+      }
+
+      cumulativeMedianLon += combine(deltaLons) || 0;
+      cumulativeMedianLat += combine(deltaLats) || 0;
+      medians.lon[t] = cumulativeMedianLon;
+      medians.lat[t] = cumulativeMedianLat;
+
+      if (onProgress) {
+        onProgress((t + 1) / stepCount);
+      }
+    }
+
+    return medians;
+  },
+
+  /**
+   * Compute a regional common mode for each beacon, from the movement of its
+   * neighbours within a radius rather than of the whole network. At each time
+   * step, the step-on-step deltas of the neighbours with a reading (not the
+   * beacon itself) are averaged, weighted by a Gaussian of their distance
+   * whose standard deviation is half the radius, and added to the previous
+   * step's cumulative common mode. Steps where no neighbour has a reading add
+   * nothing.
+   *
+   * @param {!Array} beacons An array of beacon data objects, all regularized to
+   *     the same step (see regularizeBeacon).
+   * @param {number} step Seconds between consecutive readings.
+   * @param {number} radius Distance in km within which beacons are neighbours.
+   * @param {Function=} onProgress Called periodically with progress (0-1).
+   * @return {!Array} Array of objects, one per beacon, with lon and lat
+   * Float64Arrays holding its cumulative common mode at each of its time steps
+   * in Web Mercator projected coordinates, starting from 0.
+   */
+  computeRegionalCommonMode: function(beacons, step, radius, onProgress) {
+    var getX = geovelo.WebMercator.getX;
+    var getY = geovelo.WebMercator.getY;
+
+    // Each beacon's deltas from its previous reading, NaN where there's no
+    // reading or no previous one, and its position at its first reading.
+    var deltas = beacons.map(function(beacon) {
+      var len = beacon.lon.length;
+      var delta = {
+        x: new Float64Array(len),
+        y: new Float64Array(len),
+        lon: 0,
+        lat: 0
+      };
+      var prev = -1;
+      for (var i = 0; i < len; i++) {
+        delta.x[i] = delta.y[i] = NaN;
+        if (!beacon.lon[i] || !beacon.lat[i]) {
+          continue;
+        }
+        if (prev === -1) {
+          delta.lon = beacon.lon[i];
+          delta.lat = beacon.lat[i];
+        } else {
+          delta.x[i] = getX(beacon.lon[i]) - getX(beacon.lon[prev]);
+          delta.y[i] = getY(beacon.lat[i]) - getY(beacon.lat[prev]);
+        }
+        prev = i;
+      }
+      return delta;
+    });
+
+    var sigma = radius / 2;
+    return beacons.map(function(beacon, b) {
+      var neighbours = [];
+      for (var n = 0; n < beacons.length; n++) {
+        var distance = geovelo.data.getDistance(deltas[b].lon, deltas[b].lat,
+            deltas[n].lon, deltas[n].lat);
+        if (n !== b && distance <= radius) {
+          neighbours.push({
+            index: n,
+            weight: Math.exp(-distance * distance / (2 * sigma * sigma))
+          });
+        }
+      }
+
+      var len = beacon.lon.length;
+      var commonMode = {
+        lon: new Float64Array(len),
+        lat: new Float64Array(len)
+      };
+      for (var i = 1; i < len; i++) {
+        var timestamp = beacon.start + i * step;
+        var sumX = 0;
+        var sumY = 0;
+        var total = 0;
+        neighbours.forEach(function(neighbour) {
+          var delta = deltas[neighbour.index];
+          var index = Math.round(
+              (timestamp - beacons[neighbour.index].start) / step);
+          if (index >= 0 && index < delta.x.length && !isNaN(delta.x[index])) {
+            sumX += neighbour.weight * delta.x[index];
+            sumY += neighbour.weight * delta.y[index];
+            total += neighbour.weight;
+          }
+        });
+        commonMode.lon[i] = commonMode.lon[i - 1] + (total && sumX / total);
+        commonMode.lat[i] = commonMode.lat[i - 1] + (total && sumY / total);
+      }
+
+      if (onProgress) {
+        onProgress((b + 1) / beacons.length);
+      }
+      return commonMode;
+    });
+  },
+
+  /**
+   * Compute the mean of an array of numbers.
+   *
+   * @param {!Array} values An array of numbers.
+   * @return {number} The mean, or NaN if the array is empty.
+   */
+  mean: function(values) {
+    var sum = 0;
+    for (var i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return sum / values.length;
+  },
+
+  /**
+   * Compute the median of an array of numbers. The array is sorted in place.
+   *
+   * @param {!Array} values An array of numbers.
+   * @return {number|undefined} The median, or undefined if the array is empty.
+   */
+  median: function(values) {
+    var n = values.length;
+    if (!n) {
+      return undefined;
+    }
+    values.sort(function(a, b) {
+      return a - b;
+    });
+    var mid = n >> 1;
+    return n % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+  },
+
+  /**
+   * Fit a straight line to points by ordinary least squares.
+   *
+   * @param {!Array} xs The x values of the points.
+   * @param {!Array} ys The y values of the points.
+   * @return {?Object} Object with the slope and intercept of the line, and the
+   * slope's standard error (sigma), or null if there are fewer than three
+   * points or the x values don't vary.
+   */
+  fitLine: function(xs, ys) {
+    var n = xs.length;
+    if (n < 3) {
+      return null;
+    }
+    var meanX = 0;
+    var meanY = 0;
+    for (var i = 0; i < n; i++) {
+      meanX += xs[i] / n;
+      meanY += ys[i] / n;
+    }
+    var sxx = 0;
+    var sxy = 0;
+    for (i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) * (xs[i] - meanX);
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    }
+    if (!sxx) {
+      return null;
+    }
+    var slope = sxy / sxx;
+    var intercept = meanY - slope * meanX;
+    var rss = 0;
+    for (i = 0; i < n; i++) {
+      var residual = ys[i] - intercept - slope * xs[i];
+      rss += residual * residual;
+    }
+    return {
+      slope: slope,
+      intercept: intercept,
+      sigma: Math.sqrt(rss / (n - 2) / sxx)
+    };
+  },
+
+  /**
+   * Compute how many millimeters east and north one degree of longitude and
+   * latitude span at a given latitude, using the radii of curvature of the
+   * WGS84 ellipsoid.
+   *
+   * @param {number} lat Latitude in degrees.
+   * @return {!Object} Object with lon and lat properties, in mm per degree.
+   */
+  getMillimetersPerDegree: function(lat) {
+    var ellipsoid = geovelo.data.getEllipsoid();
+    var e2 = ellipsoid.f * (2 - ellipsoid.f);
+    var phi = lat * Math.PI / 180;
+    var w = Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+    var mmPerRadian = 1000 * ellipsoid.a;
+    return {
+      lon: mmPerRadian * Math.PI / 180 / w * Math.cos(phi),
+      lat: mmPerRadian * Math.PI / 180 * (1 - e2) / (w * w * w)
+    };
+  },
+
+  /**
+   * Compute the great-circle distance between two points, taking the Earth to
+   * be a sphere of its mean radius, by the haversine formula.
+   *
+   * @param {number} lon1 Longitude of the first point in degrees.
+   * @param {number} lat1 Latitude of the first point in degrees.
+   * @param {number} lon2 Longitude of the second point in degrees.
+   * @param {number} lat2 Latitude of the second point in degrees.
+   * @return {number} The distance in km.
+   */
+  getDistance: function(lon1, lat1, lon2, lat2) {
+    var MEAN_RADIUS_KM = 6371.0088;
+    var DEG_TO_RAD = Math.PI / 180;
+    var sinLat = Math.sin((lat2 - lat1) * DEG_TO_RAD / 2);
+    var sinLon = Math.sin((lon2 - lon1) * DEG_TO_RAD / 2);
+    var h = sinLat * sinLat + Math.cos(lat1 * DEG_TO_RAD) *
+        Math.cos(lat2 * DEG_TO_RAD) * sinLon * sinLon;
+    return 2 * MEAN_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  },
+
+  /**
+   * Estimate a beacon's secular velocity by fitting straight lines to its east
+   * and north positions, and its heights if it has any, over a time range.
+   * Only observed readings are used, not those filled in by interpolateGaps,
+   * if the beacon has an observed mask (see geovelo.DataWorker.prepare()).
+   * Velocities are converted to mm/yr east and north at the first reading in
+   * the range (see getMillimetersPerDegree).
+   *
+   * The uncertainties are the formal standard errors of the fit, which assume
+   * uncorrelated (white) noise, so they tend to be optimistic.
+   *
+   * @param {!Object} beacon A beacon data object, regularized to the step.
+   * @param {number} step Seconds between consecutive readings.
+   * @param {number} startTimestamp Start of the time range to fit.
+   * @param {number} endTimestamp End of the time range to fit.
+   * @return {?Object} Object with east and north velocities and their
+   * uncertainties eastSigma and northSigma, all in mm/yr, the same velocity as
+   * lonRate and latRate in degrees per year, the lon and lat of the first
+   * reading fitted, and the count of readings fitted. If the beacon's heights
+   * could be fitted too, up and upSigma hold its vertical velocity in mm/yr.
+   * Null if there are too few readings in the range.
+   */
+  fitVelocity: function(beacon, step, startTimestamp, endTimestamp) {
+    var SECONDS_PER_YEAR = 60 * 60 * 24 * 365.25;
+    var first = Math.max(0, Math.ceil((startTimestamp - beacon.start) / step));
+    var last = Math.min(beacon.lon.length - 1,
+        Math.floor((endTimestamp - beacon.start) / step));
+
+    var years = [];
+    var lons = [];
+    var lats = [];
+    var heightYears = [];
+    var heights = [];
+    for (var i = first; i <= last; i++) {
+      var observed = beacon.observed ? beacon.observed[i] :
+          beacon.lon[i] && beacon.lat[i];
+      if (observed) {
+        var year = (beacon.start + i * step - startTimestamp) /
+            SECONDS_PER_YEAR;
+        years.push(year);
+        lons.push(beacon.lon[i]);
+        lats.push(beacon.lat[i]);
+        if (beacon.height && beacon.height[i]) {
+          heightYears.push(year);
+          heights.push(beacon.height[i]);
+        }
+      }
+    }
+
+    var lonFit = geovelo.data.fitLine(years, lons);
+    var latFit = geovelo.data.fitLine(years, lats);
+    if (!lonFit || !latFit) {
+      return null;
+    }
+
+    var scale = geovelo.data.getMillimetersPerDegree(lats[0]);
+    var velocity = {
+      east: lonFit.slope * scale.lon,
+      north: latFit.slope * scale.lat,
+      eastSigma: lonFit.sigma * scale.lon,
+      northSigma: latFit.sigma * scale.lat,
+      lonRate: lonFit.slope,
+      latRate: latFit.slope,
+      lon: lons[0],
+      lat: lats[0],
+      count: years.length
+    };
+
+    var heightFit = geovelo.data.fitLine(heightYears, heights);
+    if (heightFit) {
+      velocity.up = 1000 * heightFit.slope;
+      velocity.upSigma = 1000 * heightFit.sigma;
+    }
+    return velocity;
+  },
+
+  /**
+   * Solve a system of linear equations by Gaussian elimination with partial
+   * pivoting.
+   *
+   * @param {!Array} matrix Array of n rows, each an array of n coefficients.
+   *     It is modified in place.
+   * @param {!Array} vector Array of n right-hand side values. It is modified in
+   *     place.
+   * @return {?Array} The n unknowns, or null if the system is singular.
+   */
+  solveLinearSystem: function(matrix, vector) {
+    var n = vector.length;
+    for (var col = 0; col < n; col++) {
+      var pivot = col;
+      for (var row = col + 1; row < n; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+          pivot = row;
+        }
+      }
+      if (!matrix[pivot][col]) {
+        return null;
+      }
+      var swap = matrix[col];
+      matrix[col] = matrix[pivot];
+      matrix[pivot] = swap;
+      swap = vector[col];
+      vector[col] = vector[pivot];
+      vector[pivot] = swap;
+      for (row = col + 1; row < n; row++) {
+        var factor = matrix[row][col] / matrix[col][col];
+        for (var k = col; k < n; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+        vector[row] -= factor * vector[col];
+      }
+    }
+    var solution = new Array(n);
+    for (row = n - 1; row >= 0; row--) {
+      var sum = vector[row];
+      for (k = row + 1; k < n; k++) {
+        sum -= matrix[row][k] * solution[k];
+      }
+      solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+  },
+
+  /**
+   * The terms of the seasonal model for a time t in years: a constant, a
+   * trend, and annual and semi-annual sinusoids. See fitSeasonal().
+   *
+   * @param {number} t Time in years.
+   * @return {!Array} The value of each term at t.
+   */
+  seasonalTerms: function(t) {
+    var annual = 2 * Math.PI * t;
+    return [
+      1, t,
+      Math.cos(annual), Math.sin(annual),
+      Math.cos(2 * annual), Math.sin(2 * annual)
+    ];
+  },
+
+  /**
+   * Fit the seasonal model (see seasonalTerms) to a series by least squares.
+   * The sinusoids' phases are relative to the Unix epoch, so that fits of
+   * different beacons are comparable.
+   *
+   * @param {!Array} years Times of the readings in years since the epoch.
+   * @param {!Array} values The readings.
+   * @return {?Array} The coefficient of each term, or null if there are too
+   * few readings, or they span less than a year.
+   */
+  fitSeasonal: function(years, values) {
+    var n = years.length;
+    if (n < 12 || years[n - 1] - years[0] < 1) {
+      return null;
+    }
+
+    // Fit relative to the mean time and first value, for numerical stability.
+    var t0 = geovelo.data.mean(years);
+    var v0 = values[0];
+    var size = 6;
+    var matrix = [];
+    var vector = [];
+    for (var i = 0; i < size; i++) {
+      matrix.push(new Float64Array(size));
+      vector.push(0);
+    }
+    for (var j = 0; j < n; j++) {
+      var terms = geovelo.data.seasonalTerms(years[j] - t0);
+      for (i = 0; i < size; i++) {
+        for (var k = 0; k < size; k++) {
+          matrix[i][k] += terms[i] * terms[k];
+        }
+        vector[i] += terms[i] * (values[j] - v0);
+      }
+    }
+    var solution = geovelo.data.solveLinearSystem(matrix, vector);
+    if (!solution) {
+      return null;
+    }
+
+    // Express the coefficients in terms of the times themselves. Shifting t by
+    // t0 changes the phases of the sinusoids, so rotate them back.
+    var coefficients = solution.slice();
+    coefficients[0] += v0 - solution[1] * t0;
+    [[2, 1], [4, 2]].forEach(function(pair) {
+      var index = pair[0];
+      var angle = 2 * Math.PI * pair[1] * t0;
+      var c = solution[index];
+      var s = solution[index + 1];
+      coefficients[index] = c * Math.cos(angle) - s * Math.sin(angle);
+      coefficients[index + 1] = c * Math.sin(angle) + s * Math.cos(angle);
+    });
+    return coefficients;
+  },
+
+  /**
+   * Fit the seasonal model to each of a beacon's series, and either subtract
+   * the annual and semi-annual sinusoids from its readings, or replace its
+   * readings with the sinusoids about the mean position of the trend, leaving
+   * only the seasonal signal. Missing readings (0) are left alone. Beacons
+   * spanning less than a year can't be fitted and are left alone too, so in
+   * the 'only' mode, where they'd still show their motion, they should be
+   * left out.
+   *
+   * @param {!Object} beacon A beacon data object, regularized to the step.
+   * @param {number} step Seconds between consecutive readings.
+   * @param {string} mode Either 'remove' or 'only'.
+   * @return {boolean} Whether the beacon could be fitted.
+   */
+  applySeasonalModel: function(beacon, step, mode) {
+    var SECONDS_PER_YEAR = 60 * 60 * 24 * 365.25;
+    var keys = beacon.height ? ['lon', 'lat', 'height'] : ['lon', 'lat'];
+    var length = beacon.lon.length;
+
+    var years = [];
+    var indices = [];
+    for (var i = 0; i < length; i++) {
+      if (beacon.lon[i] && beacon.lat[i]) {
+        years.push((beacon.start + i * step) / SECONDS_PER_YEAR);
+        indices.push(i);
+      }
+    }
+
+    var fits = {};
+    var fitted = keys.every(function(key) {
+      var values = indices.map(function(index) {
+        return beacon[key][index];
+      });
+      fits[key] = geovelo.data.fitSeasonal(years, values);
+      return fits[key];
+    });
+    if (!fitted) {
+      return false;
+    }
+
+    var meanYear = geovelo.data.mean(years);
+    keys.forEach(function(key) {
+      var c = fits[key];
+      var level = c[0] + c[1] * meanYear;
+      var values = beacon[key];
+      indices.forEach(function(index, j) {
+        var terms = geovelo.data.seasonalTerms(years[j]);
+        var seasonal = c[2] * terms[2] + c[3] * terms[3] +
+            c[4] * terms[4] + c[5] * terms[5];
+        values[index] = mode === 'only' ?
+            level + seasonal : values[index] - seasonal;
+      });
+    });
+    return true;
+  },
+
+  /**
+   * Compute the Delaunay triangulation of a set of points in the plane, by the
+   * Bowyer-Watson algorithm: each point is added in turn, removing the
+   * triangles whose circumcircles contain it and filling the hole with new
+   * triangles fanning out from it. Duplicate points are ignored.
+   *
+   * @param {!Array} xs The x coordinates of the points.
+   * @param {!Array} ys The y coordinates of the points.
+   * @return {!Array} Array of triangles, each an array of the indices of its
+   * three points.
+   */
+  triangulate: function(xs, ys) {
+    var n = xs.length;
+    if (n < 3) {
+      return [];
+    }
+
+    // Start with a triangle large enough to contain every point, whose corners
+    // are extra points at indices n to n + 2.
+    var minX = Math.min.apply(null, xs);
+    var minY = Math.min.apply(null, ys);
+    var size = Math.max(Math.max.apply(null, xs) - minX,
+        Math.max.apply(null, ys) - minY) || 1;
+    var px = Array.prototype.slice.call(xs)
+        .concat(minX - size, minX + 20 * size, minX - size);
+    var py = Array.prototype.slice.call(ys)
+        .concat(minY - size, minY - size, minY + 20 * size);
+
+    // Each triangle keeps its circumcircle, to test points against.
+    var makeTriangle = function(a, b, c) {
+      var bx = px[b] - px[a];
+      var by = py[b] - py[a];
+      var cx = px[c] - px[a];
+      var cy = py[c] - py[a];
+      var d = 2 * (bx * cy - by * cx);
+      var b2 = bx * bx + by * by;
+      var c2 = cx * cx + cy * cy;
+      var ux = (cy * b2 - by * c2) / d;
+      var uy = (bx * c2 - cx * b2) / d;
+      return {
+        points: [a, b, c],
+        x: px[a] + ux,
+        y: py[a] + uy,
+        r2: ux * ux + uy * uy
+      };
+    };
+    var triangles = [makeTriangle(n, n + 1, n + 2)];
+
+    for (var i = 0; i < n; i++) {
+      var edges = [];
+      var kept = [];
+      var duplicate = false;
+      triangles.forEach(function(triangle) {
+        var dx = px[i] - triangle.x;
+        var dy = py[i] - triangle.y;
+        if (dx * dx + dy * dy > triangle.r2) {
+          kept.push(triangle);
+          return;
+        }
+        var points = triangle.points;
+        for (var j = 0; j < 3; j++) {
+          var a = points[j];
+          var b = points[(j + 1) % 3];
+          if (px[a] === px[i] && py[a] === py[i]) {
+            duplicate = true;
+          }
+
+          // Edges shared by two removed triangles aren't on the hole's
+          // boundary, so each such edge cancels out.
+          var shared = -1;
+          for (var k = 0; k < edges.length; k++) {
+            if (edges[k][0] === b && edges[k][1] === a) {
+              shared = k;
+              break;
+            }
+          }
+          if (shared === -1) {
+            edges.push([a, b]);
+          } else {
+            edges.splice(shared, 1);
+          }
+        }
+      });
+      if (duplicate) {
+        continue;
+      }
+      triangles = kept.concat(edges.map(function(edge) {
+        return makeTriangle(edge[0], edge[1], i);
+      }));
+    }
+
+    // Drop the triangles touching the corners of the first one.
+    return triangles.map(function(triangle) {
+      return triangle.points;
+    }).filter(function(points) {
+      return points[0] < n && points[1] < n && points[2] < n;
+    });
+  },
+
+  /**
+   * Compute the horizontal strain rate within a triangle of stations, taking
+   * velocity to vary linearly across it. Strain rates are in nanostrain per
+   * year, positive for extension.
+   *
+   * @param {!Array} velocities Three velocity objects, see fitVelocity().
+   * @return {?Object} Object with the strain rate tensor's components exx
+   * (east), eyy (north) and exy, the dilatation (exx + eyy), the maximum
+   * shear, the principal strain rates e1 (the larger) and e2, the azimuth of
+   * the e1 axis in degrees clockwise from north, and the lon and lat of the
+   * triangle's centroid. Null if the triangle is degenerate.
+   */
+  computeStrainRate: function(velocities) {
+    var lon = geovelo.data.mean(velocities.map(function(velocity) {
+      return velocity.lon;
+    }));
+    var lat = geovelo.data.mean(velocities.map(function(velocity) {
+      return velocity.lat;
+    }));
+
+    // Fit v = v0 + L x for each component, with x the position in meters
+    // east and north of the centroid, and v in mm/yr.
+    var scale = geovelo.data.getMillimetersPerDegree(lat);
+    var rows = velocities.map(function(velocity) {
+      return [
+        1,
+        (velocity.lon - lon) * scale.lon / 1000,
+        (velocity.lat - lat) * scale.lat / 1000
+      ];
+    });
+    var copyRows = function() {
+      return rows.map(function(row) {
+        return row.slice();
+      });
+    };
+    var east = geovelo.data.solveLinearSystem(copyRows(),
+        velocities.map(function(velocity) {
+          return velocity.east;
+        }));
+    var north = geovelo.data.solveLinearSystem(copyRows(),
+        velocities.map(function(velocity) {
+          return velocity.north;
+        }));
+    if (!east || !north) {
+      return null;
+    }
+
+    // (mm/yr)/m is 1e6 nanostrain/yr.
+    var exx = 1e6 * east[1];
+    var eyy = 1e6 * north[2];
+    var exy = 1e6 * (east[2] + north[1]) / 2;
+    var mean = (exx + eyy) / 2;
+    var shear = Math.sqrt((exx - eyy) * (exx - eyy) / 4 + exy * exy);
+    var angle = Math.atan2(2 * exy, exx - eyy) / 2;
+    return {
+      exx: exx,
+      eyy: eyy,
+      exy: exy,
+      dilatation: exx + eyy,
+      shear: shear,
+      e1: mean + shear,
+      e2: mean - shear,
+      azimuth: 90 - angle * 180 / Math.PI,
+      lon: lon,
+      lat: lat
+    };
+  },
+
+  /**
+   * Compute the strain rate field of a network of stations, over the Delaunay
+   * triangulation of their positions in Web Mercator projected coordinates.
+   *
+   * @param {!Array} velocities Array of velocity objects, see fitVelocity(),
+   *     or nulls for stations without one, which are left out.
+   * @return {!Array} Array of strain rate objects, see computeStrainRate(),
+   * each with an indices property holding the indices of its triangle's
+   * corners in the velocities array.
+   */
+  computeStrainField: function(velocities) {
+    var indices = [];
+    velocities.forEach(function(velocity, i) {
+      if (velocity) {
+        indices.push(i);
+      }
+    });
+    var xs = indices.map(function(i) {
+      return geovelo.WebMercator.getX(velocities[i].lon);
+    });
+    var ys = indices.map(function(i) {
+      return geovelo.WebMercator.getY(velocities[i].lat);
+    });
+
+    var field = [];
+    geovelo.data.triangulate(xs, ys).forEach(function(points) {
+      var corners = points.map(function(point) {
+        return indices[point];
+      });
+      var strain = geovelo.data.computeStrainRate(
+          corners.map(function(i) {
+            return velocities[i];
+          }));
+      if (strain) {
+        strain.indices = corners;
+        field.push(strain);
+      }
+    });
+    return field;
+  },
+
+  /**
+   * Check an array of beacon data objects for problems, so that bad beacons
+   * can be skipped and reported rather than breaking the whole dataset. Should
+   * be called after convertBeaconCoordinates().
+   *
+   * A beacon is skipped if it:
+   *  - isn't an object, or has no name,
+   *  - has neither a start timestamp nor a times array,
+   *  - has no lon/lat arrays (or Cartesian positions that could be converted),
+   *  - has lon, lat, height and times arrays of different lengths,
+   *  - has the same name as an earlier beacon in the array, or
+   *  - has no non-missing readings.
+   *
+   * Readings with a longitude outside -180 to 360 or a latitude outside -90 to
+   * 90, or which aren't numbers, are set to 0 (missing) and reported. The
+   * readings of a beacon whose times are out of order are sorted (see
+   * sortReadings), as the rest of the pipeline expects.
+   *
+   * @param {!Array} beacons An array of beacon data objects.
+   * @return {!Object} Object with a beacons array holding the valid beacons,
+   * and an issues array of {name, skipped, problems} objects, one for each
+   * beacon with problems, where problems is an array of descriptions.
+   */
+  validateBeacons: function(beacons) {
+    var valid = [];
+    var issues = [];
+    var seen = {};
+    for (var i = 0, ii = beacons.length; i < ii; i++) {
+      var beacon = beacons[i];
+      var name = beacon && beacon.name;
+      var problem = geovelo.data.findBeaconProblem(beacon);
+      if (!problem && seen[name]) {
+        problem = 'duplicate name';
+      }
+
+      var problems = [];
+      if (!problem) {
+        seen[name] = true;
+        if (beacon.times) {
+          geovelo.data.sortReadings(beacon);
+        }
+        var outOfRange = 0;
+        var present = 0;
+        for (var j = 0; j < beacon.lon.length; j++) {
+          var lon = beacon.lon[j];
+          var lat = beacon.lat[j];
+          if (!lon || !lat) {
+            continue;
+          }
+          if (typeof lon !== 'number' || typeof lat !== 'number' ||
+              !(lon >= -180 && lon <= 360 && lat >= -90 && lat <= 90)) {
+            beacon.lon[j] = 0;
+            beacon.lat[j] = 0;
+            outOfRange++;
+          } else {
+            present++;
+          }
+        }
+        if (outOfRange) {
+          problems.push(outOfRange + ' out-of-range readings set as missing');
+        }
+        if (!present) {
+          problem = 'no non-zero readings';
+        }
+      }
+
+      if (problem) {
+        problems.push(problem);
+      } else {
+        valid.push(beacon);
+      }
+      if (problems.length) {
+        issues.push({
+          name: name || name === 0 ? name : '#' + (i + 1),
+          skipped: !!problem,
+          problems: problems
+        });
+      }
+    }
+    return {
+      beacons: valid,
+      issues: issues
+    };
+  },
+
+  /**
+   * Sort a beacon's readings into time order, if its times array is out of
+   * order. Readings with the same time keep their order.
+   *
+   * @param {!Object} beacon A beacon data object with a times array.
+   * @return {boolean} Whether the readings had to be sorted.
+   */
+  sortReadings: function(beacon) {
+    var times = beacon.times;
+    var sorted = true;
+    for (var i = 1; i < times.length && sorted; i++) {
+      sorted = times[i] >= times[i - 1];
+    }
+    if (sorted) {
+      return false;
+    }
+    var order = [];
+    for (var j = 0; j < times.length; j++) {
+      order.push(j);
+    }
+    order.sort(function(a, b) {
+      return times[a] - times[b] || a - b;
+    });
+    ['times', 'lon', 'lat', 'height'].forEach(function(key) {
+      var values = beacon[key];
+      if (values) {
+        beacon[key] = order.map(function(index) {
+          return values[index];
+        });
+      }
+    });
+    return true;
+  },
+
+  /**
+   * Check a beacon data object for the structural problems which make it
+   * unusable. See validateBeacons().
+   *
+   * @param {*} beacon The supposed beacon data object.
+   * @return {?string} Description of the first problem found, or null.
+   */
+  findBeaconProblem: function(beacon) {
+    if (!beacon || typeof beacon !== 'object') {
+      return 'not an object';
+    }
+    if (beacon.coordinateProblem) {
+      return beacon.coordinateProblem;
+    }
+    if (beacon.name === undefined || beacon.name === null ||
+        beacon.name === '') {
+      return 'missing name';
+    }
+    if (typeof beacon.start !== 'number' && !beacon.times) {
+      return 'missing start';
+    }
+    if (!beacon.lon || !beacon.lat) {
+      return 'missing lon/lat';
+    }
+    if (typeof beacon.lon.length !== 'number' ||
+        typeof beacon.lat.length !== 'number') {
+      return 'lon/lat are not arrays';
+    }
+    var length = beacon.lon.length;
+    var mismatched = ['lat', 'height', 'times'].filter(function(key) {
+      return beacon[key] && beacon[key].length !== length;
+    });
+    if (mismatched.length) {
+      return 'length of ' + ['lon'].concat(mismatched).join('/') +
+          ' arrays differ';
+    }
+    if (beacon.offsets && !Array.isArray(beacon.offsets)) {
+      return 'offsets is not an array';
+    }
+    return null;
+  },
+
+  /**
+   * Merge several arrays of beacon data objects into one. Beacons which share
+   * a name are spliced into a single beacon (see spliceBeacons), keeping the
+   * position of the first one seen.
+   *
+   * @param {!Array} datasets An array of arrays of beacon data objects.
+   * @return {!Object} Object with a beacons array holding the merged beacons,
+   * and a conflicts array of {name, count} objects for each merged beacon
+   * whose sources disagreed about one or more readings.
+   */
+  mergeBeacons: function(datasets) {
+    var beacons = [];
+    var indexByName = {};
+    var conflicts = [];
+    for (var i = 0; i < datasets.length; i++) {
+      for (var j = 0; j < datasets[i].length; j++) {
+        var beacon = datasets[i][j];
+        if (!(beacon.name in indexByName)) {
+          indexByName[beacon.name] = beacons.length;
+          beacons.push(beacon);
+          continue;
+        }
+        var index = indexByName[beacon.name];
+        var spliced = geovelo.data.spliceBeacons(beacons[index], beacon);
+        beacons[index] = spliced.beacon;
+        if (spliced.conflicts) {
+          conflicts.push({ name: beacon.name, count: spliced.conflicts });
+        }
+      }
+    }
+    return {
+      beacons: beacons,
+      conflicts: conflicts
+    };
+  },
+
+  /**
+   * Splice the time series of two beacons with the same name into a new beacon
+   * spanning both, lined up by their start timestamps. Both beacons must have
+   * been regularized to the same step (see regularizeBeacon). Where both have
+   * a reading for the same time step, the first beacon's reading is kept, and
+   * if the readings differ, that counts as a conflict.
+   *
+   * @param {!Object} first The beacon whose readings take precedence.
+   * @param {!Object} second The beacon to splice in.
+   * @return {!Object} Object with the spliced beacon and a conflicts count.
+   */
+  spliceBeacons: function(first, second) {
+    var step = first.step || geovelo.data.DEFAULT_STEP;
+    var start = Math.min(first.start, second.start);
+    var firstOffset = Math.round((first.start - start) / step);
+    var secondOffset = Math.round((second.start - start) / step);
+    var length = Math.max(
+        firstOffset + first.lon.length, secondOffset + second.lon.length);
+
+    // Height is kept if either beacon has it, and missing (0) at the steps
+    // taken from one which doesn't.
+    var keys = first.height || second.height ?
+        ['lon', 'lat', 'height'] : ['lon', 'lat'];
+
+    var beacon = { name: first.name, start: start, step: step };
+    if (first.offsets || second.offsets) {
+      beacon.offsets = (first.offsets || []).concat(second.offsets || []);
+    }
+    keys.forEach(function(key) {
+      beacon[key] = new Array(length);
+      for (var i = 0; i < length; i++) {
+        beacon[key][i] = 0;
+      }
+    });
+
+    var conflicts = 0;
+    [[first, firstOffset], [second, secondOffset]].forEach(function(pair) {
+      var source = pair[0];
+      var offset = pair[1];
+      for (var i = 0; i < source.lon.length; i++) {
+        if (!source.lon[i] || !source.lat[i]) {
+          continue;
+        }
+        var j = i + offset;
+        if (beacon.lon[j] && beacon.lat[j]) {
+          if (beacon.lon[j] !== source.lon[i] ||
+              beacon.lat[j] !== source.lat[i]) {
+            conflicts++;
+          }
+          continue;
+        }
+        keys.forEach(function(key) {
+          beacon[key][j] = source[key] ? source[key][i] : 0;
+        });
+      }
+    });
+
+    return {
+      beacon: beacon,
+      conflicts: conflicts
+    };
+  },
+
+  /**
+   * Collect several arrays of beacon data objects, as loaded, into one, so that
+   * they can be saved without being prepared. Unlike mergeBeacons, this needs
+   * no common step: beacons which share a name are joined (see joinBeacons).
+   *
+   * @param {!Array} datasets An array of arrays of beacon data objects.
+   * @return {!Array} The collected beacons.
+   */
+  collectBeacons: function(datasets) {
+    var beacons = [];
+    var indexByName = {};
+    for (var i = 0; i < datasets.length; i++) {
+      for (var j = 0; j < datasets[i].length; j++) {
+        var beacon = datasets[i][j];
+        if (!(beacon.name in indexByName)) {
+          indexByName[beacon.name] = beacons.length;
+          beacons.push(beacon);
+          continue;
+        }
+        var index = indexByName[beacon.name];
+        beacons[index] = geovelo.data.joinBeacons(beacons[index], beacon);
+      }
+    }
+    return beacons;
+  },
+
+  /**
+   * Join the readings of two beacons with the same name into a new beacon with
+   * a times array, in time order. Where both have a reading at the same time,
+   * the first beacon's reading is kept, as in spliceBeacons.
+   *
+   * @param {!Object} first The beacon whose readings take precedence.
+   * @param {!Object} second The beacon to join in.
+   * @return {!Object} The joined beacon.
+   */
+  joinBeacons: function(first, second) {
+    // Height is kept if either beacon has it, and missing (0) at the steps
+    // taken from one which doesn't.
+    var keys = first.height || second.height ?
+        ['lon', 'lat', 'height'] : ['lon', 'lat'];
+
+    var readings = [];
+    [first, second].forEach(function(source, order) {
+      var step = source.step || geovelo.data.DEFAULT_STEP;
+      for (var i = 0; i < source.lon.length; i++) {
+        if (!source.lon[i] || !source.lat[i]) {
+          continue;
+        }
+        readings.push({
+          time: source.times ? source.times[i] : source.start + i * step,
+          order: order,
+          source: source,
+          index: i
+        });
+      }
+    });
+    readings.sort(function(a, b) {
+      return a.time - b.time || a.order - b.order;
+    });
+
+    var beacon = { name: first.name, times: [] };
+    if (first.offsets || second.offsets) {
+      beacon.offsets = (first.offsets || []).concat(second.offsets || []);
+    }
+    keys.forEach(function(key) {
+      beacon[key] = [];
+    });
+    readings.forEach(function(reading, i) {
+      if (i && reading.time === readings[i - 1].time) {
+        return;
+      }
+      beacon.times.push(reading.time);
+      keys.forEach(function(key) {
+        var values = reading.source[key];
+        beacon[key].push(values ? values[reading.index] : 0);
+      });
+    });
+    beacon.start = beacon.times[0];
+    return beacon;
+  },
+
+  /**
+   * Angular velocities of the major tectonic plates in the ITRF2014 plate
+   * motion model (Altamimi et al., 2017), by plate abbreviation. Each gives
+   * the rotation rate about the Earth-centred, Earth-fixed X, Y and Z axes in
+   * milliarcseconds per year. See getPlatePole().
+   */
+  PLATES: {
+    ANTA: { name: 'Antarctica', x: -0.248, y: -0.324, z: 0.675 },
+    ARAB: { name: 'Arabia', x: 1.154, y: -0.136, z: 1.444 },
+    AUST: { name: 'Australia', x: 1.510, y: 1.182, z: 1.215 },
+    EURA: { name: 'Eurasia', x: -0.085, y: -0.531, z: 0.770 },
+    INDI: { name: 'India', x: 1.154, y: -0.005, z: 1.454 },
+    NAZC: { name: 'Nazca', x: -0.333, y: -1.544, z: 1.623 },
+    NOAM: { name: 'North America', x: 0.024, y: -0.694, z: -0.063 },
+    NUBI: { name: 'Nubia', x: 0.099, y: -0.614, z: 0.733 },
+    PCFC: { name: 'Pacific', x: -0.409, y: 1.047, z: -2.169 },
+    SOAM: { name: 'South America', x: -0.270, y: -0.301, z: -0.140 },
+    SOMA: { name: 'Somalia', x: -0.121, y: -0.794, z: 0.884 }
+  },
+
+  /**
+   * Look up the Euler pole of a plate in the PLATES table.
+   *
+   * @param {string} name Abbreviation of the plate, a key of PLATES.
+   * @return {!Object} The pole, with lat and lon in degrees and rate in degrees
+   * per million years.
+   */
+  getPlatePole: function(name) {
+    var plate = geovelo.data.PLATES[name];
+    if (!plate) {
+      throw Error('Unknown plate: ' + name);
+    }
+    var DEG_PER_MYR_PER_MAS_PER_YR = 1e6 / 3600 / 1000;
+    var equatorial = Math.sqrt(plate.x * plate.x + plate.y * plate.y);
+    return {
+      lat: Math.atan2(plate.z, equatorial) * 180 / Math.PI,
+      lon: Math.atan2(plate.y, plate.x) * 180 / Math.PI,
+      rate: Math.sqrt(equatorial * equatorial + plate.z * plate.z) *
+          DEG_PER_MYR_PER_MAS_PER_YR
+    };
+  },
+
+  /**
+   * Compute the velocity of a point on the surface of a plate rotating about
+   * an Euler pole.
+   *
+   * @param {!Object} pole The Euler pole, with lat and lon in degrees and rate
+   *     in degrees per million years (positive for counterclockwise).
+   * @param {number} lon Longitude of the point in degrees.
+   * @param {number} lat Latitude of the point in degrees.
+   * @return {!Object} Object with lonRate and latRate properties, the rates of
+   * change of the point's longitude and latitude in degrees per year.
+   */
+  computePlateVelocity: function(pole, lon, lat) {
+    var DEG_TO_RAD = Math.PI / 180;
+    var rate = pole.rate * DEG_TO_RAD / 1e6;
+    var poleLat = pole.lat * DEG_TO_RAD;
+    var poleLon = pole.lon * DEG_TO_RAD;
+    var omega = [
+      rate * Math.cos(poleLat) * Math.cos(poleLon),
+      rate * Math.cos(poleLat) * Math.sin(poleLon),
+      rate * Math.sin(poleLat)
+    ];
+
+    // Velocity in meters per year is the cross product of omega and position.
+    var r = geovelo.data.geodeticToEcef(lon, lat, 0);
+    var v = [
+      omega[1] * r[2] - omega[2] * r[1],
+      omega[2] * r[0] - omega[0] * r[2],
+      omega[0] * r[1] - omega[1] * r[0]
+    ];
+
+    // Rotate into local east and north, then convert to degrees.
+    var phi = lat * DEG_TO_RAD;
+    var lambda = lon * DEG_TO_RAD;
+    var east = -Math.sin(lambda) * v[0] + Math.cos(lambda) * v[1];
+    var north = -Math.sin(phi) * Math.cos(lambda) * v[0] -
+        Math.sin(phi) * Math.sin(lambda) * v[1] + Math.cos(phi) * v[2];
+    var scale = geovelo.data.getMillimetersPerDegree(lat);
+    return {
+      lonRate: 1000 * east / scale.lon,
+      latRate: 1000 * north / scale.lat
+    };
+  },
+
+  /**
+   * Subtract the movement predicted by a plate's rotation about an Euler pole
+   * from a beacon's readings, so that they're relative to the plate. The
+   * beacon's first reading stays where it is. Missing readings (0) are left
+   * alone.
+   *
+   * @param {!Object} beacon A beacon data object, regularized to the step.
+   * @param {number} step Seconds between consecutive readings.
+   * @param {!Object} pole The Euler pole, see computePlateVelocity().
+   */
+  removePlateRotation: function(beacon, step, pole) {
+    var SECONDS_PER_YEAR = 60 * 60 * 24 * 365.25;
+    var first = 0;
+    while (first < beacon.lon.length &&
+        (!beacon.lon[first] || !beacon.lat[first])) {
+      first++;
+    }
+    if (first === beacon.lon.length) {
+      return;
+    }
+    var velocity = geovelo.data.computePlateVelocity(
+        pole, beacon.lon[first], beacon.lat[first]);
+    for (var i = first; i < beacon.lon.length; i++) {
+      if (beacon.lon[i] && beacon.lat[i]) {
+        var years = (i - first) * step / SECONDS_PER_YEAR;
+        beacon.lon[i] -= velocity.lonRate * years;
+        beacon.lat[i] -= velocity.latRate * years;
+      }
+    }
+  },
+
+  /**
+   * Reference ellipsoids by name, each with semi-major axis a (meters) and
+   * flattening f.
+   */
+  ELLIPSOIDS: {
+    WGS84: { a: 6378137, f: 1 / 298.257223563 },
+    GRS80: { a: 6378137, f: 1 / 298.257222101 }
+  },
+
+  /**
+   * Look up an ellipsoid by name, defaulting to WGS84.
+   *
+   * @param {string=} name Name of the ellipsoid, a key of ELLIPSOIDS.
+   * @return {!Object} The ellipsoid, with a and f properties.
+   */
+  getEllipsoid: function(name) {
+    var ellipsoid = geovelo.data.ELLIPSOIDS[name || 'WGS84'];
+    if (!ellipsoid) {
+      throw Error('Unknown ellipsoid: ' + name);
+    }
+    return ellipsoid;
+  },
+
+  /**
+   * Convert geodetic longitude, latitude (degrees) and ellipsoidal height
+   * (meters) to Earth-centred, Earth-fixed X, Y, Z coordinates (meters).
+   *
+   * @param {number} lon Longitude in degrees.
+   * @param {number} lat Latitude in degrees.
+   * @param {number} height Height above the ellipsoid in meters.
+   * @param {Object=} ellipsoid The ellipsoid, defaults to WGS84.
+   * @return {!Array} Array of [x, y, z].
+   */
+  geodeticToEcef: function(lon, lat, height, ellipsoid) {
+    ellipsoid = ellipsoid || geovelo.data.getEllipsoid();
+    var e2 = ellipsoid.f * (2 - ellipsoid.f);
+    var lambda = lon * Math.PI / 180;
+    var phi = lat * Math.PI / 180;
+    var sinPhi = Math.sin(phi);
+    var cosPhi = Math.cos(phi);
+    var N = ellipsoid.a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    return [
+      (N + height) * cosPhi * Math.cos(lambda),
+      (N + height) * cosPhi * Math.sin(lambda),
+      (N * (1 - e2) + height) * sinPhi
+    ];
+  },
+
+  /**
+   * Convert Earth-centred, Earth-fixed X, Y, Z coordinates (meters) to geodetic
+   * longitude, latitude (degrees) and ellipsoidal height (meters). Latitude is
+   * found by fixed-point iteration, which converges to well below a millimeter
+   * within a few steps for points near the Earth's surface.
+   *
+   * @param {number} x X coordinate in meters.
+   * @param {number} y Y coordinate in meters.
+   * @param {number} z Z coordinate in meters.
+   * @param {Object=} ellipsoid The ellipsoid, defaults to WGS84.
+   * @return {!Array} Array of [lon, lat, height].
+   */
+  ecefToGeodetic: function(x, y, z, ellipsoid) {
+    ellipsoid = ellipsoid || geovelo.data.getEllipsoid();
+    var a = ellipsoid.a;
+    var e2 = ellipsoid.f * (2 - ellipsoid.f);
+    var p = Math.sqrt(x * x + y * y);
+    var lambda = Math.atan2(y, x);
+
+    // The height formula used here is stable at the poles, unlike the more
+    // common p / cos(phi) - N.
+    var phi = Math.atan2(z, p * (1 - e2));
+    var height = 0;
+    for (var i = 0; i < 10; i++) {
+      var sinPhi = Math.sin(phi);
+      var N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+      height = p * Math.cos(phi) + z * sinPhi - a * a / N;
+      var nextPhi = Math.atan2(z, p * (1 - e2 * N / (N + height)));
+      var converged = Math.abs(nextPhi - phi) < 1e-12;
+      phi = nextPhi;
+      if (converged) {
+        break;
+      }
+    }
+
+    return [lambda * 180 / Math.PI, phi * 180 / Math.PI, height];
+  },
+
+  /**
+   * Convert local east, north, up offsets (meters) from a reference position
+   * into Earth-centred, Earth-fixed X, Y, Z coordinates (meters).
+   *
+   * @param {number} e East offset in meters.
+   * @param {number} n North offset in meters.
+   * @param {number} u Up offset in meters.
+   * @param {!Array} ref Reference position as [lon, lat, height].
+   * @param {Object=} ellipsoid The ellipsoid, defaults to WGS84.
+   * @return {!Array} Array of [x, y, z].
+   */
+  enuToEcef: function(e, n, u, ref, ellipsoid) {
+    var origin = geovelo.data.geodeticToEcef(ref[0], ref[1], ref[2], ellipsoid);
+    var lambda = ref[0] * Math.PI / 180;
+    var phi = ref[1] * Math.PI / 180;
+    var sinLambda = Math.sin(lambda);
+    var cosLambda = Math.cos(lambda);
+    var sinPhi = Math.sin(phi);
+    var cosPhi = Math.cos(phi);
+    return [
+      origin[0] - sinLambda * e - sinPhi * cosLambda * n +
+          cosPhi * cosLambda * u,
+      origin[1] + cosLambda * e - sinPhi * sinLambda * n +
+          cosPhi * sinLambda * u,
+      origin[2] + cosPhi * n + sinPhi * u
+    ];
+  },
+
+  /**
+   * Give lon, lat and height arrays to any beacon which instead provides its
+   * positions as Earth-centred x/y/z arrays (meters), or as e/n/u arrays
+   * (meters) of offsets from a reference position. The reference may be given
+   * either as {lon, lat, height} or {x, y, z}. A beacon's ellipsoid property
+   * may name one of ELLIPSOIDS, otherwise WGS84 is assumed.
+   *
+   * A reference without a lat, as from tenv files, is completed from the
+   * supplied references, keeping its own lon if the supplied one has none. A
+   * beacon which can't be completed, or whose ellipsoid is unknown, gets a
+   * coordinateProblem describing why, for geovelo.data.validateBeacons() to
+   * report.
+   *
+   * Missing x/y/z epochs may be given as 0 or null, and missing e/n/u epochs
+   * as null or any other value which isn't a finite number (0 is a real
+   * offset); these become 0 (missing) in the lon/lat arrays. Beacons which
+   * already have lon and lat arrays are left alone.
+   *
+   * @param {!Array} beacons An array of beacon data objects.
+   * @param {Object=} references Reference positions for references without a
+   *     lat, with an all position for every beacon and a byName object mapping
+   *     beacon names to positions, each {lat, lon, height} where lon and
+   *     height may be null.
+   * @return {!Array} The same array that was passed in.
+   */
+  convertBeaconCoordinates: function(beacons, references) {
+    var isOffset = function(value) {
+      return typeof value === 'number' && isFinite(value);
+    };
+    for (var i = 0, ii = beacons.length; i < ii; i++) {
+      var beacon = beacons[i];
+      if (!beacon || typeof beacon !== 'object' ||
+          (beacon.lon && beacon.lat)) {
+        continue;
+      }
+
+      var hasXyz = beacon.x && beacon.y && beacon.z;
+      var hasEnu = beacon.e && beacon.n && beacon.u && beacon.reference;
+      if (!hasXyz && !hasEnu) {
+        continue;
+      }
+      var ellipsoid = geovelo.data.ELLIPSOIDS[beacon.ellipsoid || 'WGS84'];
+      if (!ellipsoid) {
+        beacon.coordinateProblem = 'unknown ellipsoid ' + beacon.ellipsoid;
+        continue;
+      }
+
+      var ref = null;
+      if (hasEnu) {
+        ref = beacon.reference;
+        if (!('x' in ref) && typeof ref.lat !== 'number') {
+          var supplied = references &&
+              (references.byName[beacon.name] || references.all);
+          if (!supplied) {
+            beacon.coordinateProblem = 'no reference position';
+            continue;
+          }
+          ref = {
+            lon: typeof supplied.lon === 'number' ? supplied.lon : ref.lon,
+            lat: supplied.lat,
+            height: supplied.height
+          };
+        }
+        ref = 'x' in ref ?
+            geovelo.data.ecefToGeodetic(ref.x, ref.y, ref.z, ellipsoid) :
+            [ref.lon, ref.lat, ref.height || 0];
+      }
+
+      var length = hasXyz ? beacon.x.length : beacon.e.length;
+      beacon.lon = new Array(length);
+      beacon.lat = new Array(length);
+      beacon.height = new Array(length);
+      for (var j = 0; j < length; j++) {
+        var xyz = null;
+        if (hasXyz && beacon.x[j] && beacon.y[j] && beacon.z[j]) {
+          xyz = [beacon.x[j], beacon.y[j], beacon.z[j]];
+        } else if (hasEnu && isOffset(beacon.e[j]) &&
+            isOffset(beacon.n[j]) && isOffset(beacon.u[j])) {
+          xyz = geovelo.data.enuToEcef(
+              beacon.e[j], beacon.n[j], beacon.u[j], ref, ellipsoid);
+        }
+        var geodetic = xyz ?
+            geovelo.data.ecefToGeodetic(xyz[0], xyz[1], xyz[2], ellipsoid) :
+            [0, 0, 0];
+        beacon.lon[j] = geodetic[0];
+        beacon.lat[j] = geodetic[1];
+        beacon.height[j] = geodetic[2];
+      }
     }
+    return beacons;
   }
 
 
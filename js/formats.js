@@ -0,0 +1,814 @@
+/**
+ * @fileoverview Parsers for the data file formats which the Geodetic
+ * Velocities visualization knows how to import.
+ *
+ * @license Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+var geovelo;
+geovelo = geovelo || {};
+
+(function() {
+
+// Computational constants.
+var SECONDS_PER_DAY = 60 * 60 * 24;
+
+// Month abbreviations as they appear in NGL YYMMMDD date strings.
+var MONTHS = {
+  JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5,
+  JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11
+};
+
+// Column positions of the NGL tenv3 format, used when a file has no header.
+var TENV3_COLUMNS = {
+  site: 0,
+  date: 1,
+  decimalYear: 2,
+  lat: 20,
+  lon: 21
+};
+
+// Column positions of the NGL tenv format, whose records carry the reference
+// longitude and east/north/up displacements (meters) rather than positions.
+var TENV_COLUMNS = {
+  site: 0,
+  date: 1,
+  decimalYear: 2,
+  refLon: 6,
+  e: 7,
+  n: 8,
+  u: 9
+};
+
+// Header labels of the NGL tenv3 format, mapped to the column names above.
+var TENV3_HEADER_LABELS = {
+  'site': 'site',
+  'yymmmdd': 'date',
+  'yyyy.yyyy': 'decimalYear',
+  '_latitude(deg)': 'lat',
+  '_longitude(deg)': 'lon'
+};
+
+geovelo.formats = {
+
+  /**
+   * File extensions of the formats which can be parsed.
+   */
+  EXTENSIONS: ['json', 'geojson', 'csv', 'tenv3', 'tenv', 'gvb'],
+
+  /**
+   * File extensions of the formats which must be read as binary (into an
+   * ArrayBuffer) rather than as text.
+   */
+  BINARY_EXTENSIONS: ['gvb'],
+
+  /**
+   * Get the lowercase extension of a file name, if it has one.
+   *
+   * @param {string} fileName Name of the file.
+   * @return {string} The extension, or '' if there is none.
+   */
+  getExtension: function(fileName) {
+    var match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+  },
+
+  /**
+   * Whether the file name has the extension of a format we can parse.
+   *
+   * @param {string} fileName Name of the file.
+   * @return {boolean} True if the extension is recognized.
+   */
+  hasKnownExtension: function(fileName) {
+    return geovelo.formats.EXTENSIONS.indexOf(
+        geovelo.formats.getExtension(fileName)) !== -1;
+  },
+
+  /**
+   * Whether the file name has the extension of a binary format.
+   *
+   * @param {string} fileName Name of the file.
+   * @return {boolean} True if the file should be read as binary.
+   */
+  isBinary: function(fileName) {
+    return geovelo.formats.BINARY_EXTENSIONS.indexOf(
+        geovelo.formats.getExtension(fileName)) !== -1;
+  },
+
+  /**
+   * Given the contents of a data file and optionally its file name, determine
+   * which format it's in. The file extension wins if it's one we recognize,
+   * otherwise the content is sniffed. Binary content (an ArrayBuffer) is
+   * always taken to be the gvb format.
+   *
+   * @param {string|ArrayBuffer} content The contents of the file.
+   * @param {string=} fileName Name of the file, used for its extension.
+   * @return {string} One of 'json', 'geojson', 'csv', 'tenv3', 'tenv' or
+   *     'gvb'.
+   */
+  detect: function(content, fileName) {
+    if (content instanceof ArrayBuffer) {
+      return 'gvb';
+    }
+    if (geovelo.formats.hasKnownExtension(fileName)) {
+      return geovelo.formats.getExtension(fileName);
+    }
+    var text = content;
+
+    // Sniff the first non-blank character for JSON.
+    var firstChar = (/\S/.exec(text) || [''])[0];
+    if (firstChar === '[' || firstChar === '{') {
+      return 'json';
+    }
+
+    // NGL files start with a header whose first label is 'site', or else
+    // directly with records whose second field is a YYMMMDD date.
+    var firstLine = geovelo.formats.firstLine(text);
+    var fields = firstLine.trim().split(/\s+/);
+    if (fields[0] === 'site' || fields.length >= 20) {
+      return 'tenv3';
+    }
+    if (/^\d\d[A-Z]{3}\d\d$/.test(fields[1])) {
+      return 'tenv';
+    }
+
+    // A first line with commas, semicolons or tabs is taken to be a CSV header.
+    if (/[,;\t]/.test(firstLine)) {
+      return 'csv';
+    }
+
+    throw Error('Unrecognized data format.');
+  },
+
+  /**
+   * Parse the contents of a data file in any supported format into an array of
+   * beacon data objects, each with name, start, lon and lat properties.
+   *
+   * CSV files additionally need a column mapping (see guessCsvMapping) to say
+   * which columns hold what. If none is given, one is guessed from the header.
+   *
+   * @param {string|ArrayBuffer} content The contents of the file.
+   * @param {string=} fileName Name of the file, used to detect the format.
+   * @param {Object=} csvMapping Column mapping to use if the file is a CSV.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parse: function(content, fileName, csvMapping) {
+    var format = geovelo.formats.detect(content, fileName);
+    if ((format === 'gvb') !== (content instanceof ArrayBuffer)) {
+      throw Error('File was not read as ' +
+          (format === 'gvb' ? 'binary.' : 'text.'));
+    }
+    switch (format) {
+      case 'json':
+      case 'geojson':
+        return geovelo.formats.parseJson(content);
+      case 'csv':
+        csvMapping = csvMapping || geovelo.formats.guessCsvMapping(
+            geovelo.formats.parseCsvHeader(content));
+        return geovelo.formats.parseCsv(content, csvMapping);
+      case 'tenv3':
+        return geovelo.formats.parseTenv3(content);
+      case 'tenv':
+        return geovelo.formats.parseTenv(content);
+      case 'gvb':
+        return geovelo.formats.parseBinary(content);
+    }
+  },
+
+  /**
+   * Parse JSON text, which may be either the beacon-data.json format described
+   * in data/README.md or a GeoJSON FeatureCollection (see parseGeoJson).
+   *
+   * @param {string} text The JSON text.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseJson: function(text) {
+    var data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw Error('Invalid JSON.');
+    }
+    if (data && data.type === 'FeatureCollection') {
+      return geovelo.formats.parseGeoJson(data);
+    }
+    if (!Array.isArray(data)) {
+      throw Error('Expected a JSON array of beacons.');
+    }
+    return data;
+  },
+
+  /**
+   * Convert a GeoJSON FeatureCollection into beacon data objects. Each feature
+   * is one station, with a LineString or MultiPoint geometry holding its
+   * [lon, lat] or [lon, lat, height] positions in time order. The feature's
+   * properties must provide a name (or id), and either a times (or coordTimes)
+   * array with one entry per position, or a start timestamp for positions at
+   * increments of the step property (in seconds, defaulting to 1 day).
+   *
+   * @param {!Object} collection The parsed GeoJSON FeatureCollection.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseGeoJson: function(collection) {
+    var records = [];
+    (collection.features || []).forEach(function(feature, featureIndex) {
+      var geometry = feature.geometry || {};
+      if (geometry.type !== 'LineString' && geometry.type !== 'MultiPoint') {
+        throw Error('Feature ' + featureIndex +
+            ' is not a LineString or MultiPoint.');
+      }
+
+      var properties = feature.properties || {};
+      var name = properties.name || properties.id || feature.id;
+      if (name === undefined) {
+        throw Error('Feature ' + featureIndex + ' has no name.');
+      }
+
+      var times = properties.times || properties.coordTimes;
+      var start = geovelo.formats.parseTime(properties.start);
+      if (!times && start === null) {
+        throw Error('Feature ' + name + ' has no times or start property.');
+      }
+
+      var step = properties.step || SECONDS_PER_DAY;
+      geometry.coordinates.forEach(function(coordinates, index) {
+        var time = times ?
+            geovelo.formats.parseTime(times[index]) :
+            start + index * step;
+        if (time === null) {
+          throw Error('Feature ' + name + ' has an unreadable time.');
+        }
+        records.push({
+          name: String(name),
+          time: time,
+          lon: coordinates[0],
+          lat: coordinates[1],
+          height: coordinates[2]
+        });
+      });
+    });
+
+    // Only stations with some heights keep them, with positions lacking one
+    // marked missing (0).
+    var beacons = geovelo.formats.buildBeacons(
+        records, ['lon', 'lat', 'height']);
+    beacons.forEach(function(beacon) {
+      if (beacon.height.every(function(value) {
+        return value === undefined;
+      })) {
+        delete beacon.height;
+      } else {
+        beacon.height = beacon.height.map(function(value) {
+          return value || 0;
+        });
+      }
+    });
+    return beacons;
+  },
+
+  /**
+   * Parse the header line of a CSV file into an array of column names.
+   *
+   * @param {string} text The CSV text.
+   * @return {!Array} Array of column names.
+   */
+  parseCsvHeader: function(text) {
+    var firstLine = geovelo.formats.firstLine(text);
+    return geovelo.formats.splitCsvLine(
+        firstLine, geovelo.formats.detectCsvDelimiter(firstLine));
+  },
+
+  /**
+   * Given the column names of a CSV file, guess which columns hold the station
+   * name, time, longitude and latitude. Columns that can't be guessed are left
+   * as the first column, for the user to correct.
+   *
+   * @param {!Array} header Array of column names.
+   * @return {!Object} Hash of name, time, lon and lat to column names.
+   */
+  guessCsvMapping: function(header) {
+    var patterns = {
+      name: /^(name|site|station|sta|id|beacon)$/i,
+      time: /^(time|date|datetime|epoch|timestamp|t|decimal_?year)$/i,
+      lon: /^(lon|long|lng|longitude)(_?deg|\(deg\))?$/i,
+      lat: /^(lat|latitude)(_?deg|\(deg\))?$/i
+    };
+    var mapping = {};
+    Object.keys(patterns).forEach(function(key) {
+      var column = header.filter(function(name) {
+        return patterns[key].test(name.trim());
+      })[0];
+      mapping[key] = column === undefined ? header[0] : column;
+    });
+    return mapping;
+  },
+
+  /**
+   * Parse CSV text with one row per station per epoch. The first line must be
+   * a header naming the columns.
+   *
+   * @param {string} text The CSV text.
+   * @param {!Object} mapping Hash of name, time, lon and lat to column names.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseCsv: function(text, mapping) {
+    var lines = geovelo.formats.splitLines(text);
+    var delimiter = geovelo.formats.detectCsvDelimiter(lines[0] || '');
+    var header = geovelo.formats.splitCsvLine(lines[0] || '', delimiter);
+
+    var columns = {};
+    Object.keys(mapping).forEach(function(key) {
+      columns[key] = header.indexOf(mapping[key]);
+      if (columns[key] === -1) {
+        throw Error('CSV has no column named ' + mapping[key] + '.');
+      }
+    });
+
+    var records = [];
+    for (var i = 1; i < lines.length; i++) {
+      var fields = geovelo.formats.splitCsvLine(lines[i], delimiter);
+      var time = geovelo.formats.parseTime(fields[columns.time]);
+      var lon = parseFloat(fields[columns.lon]);
+      var lat = parseFloat(fields[columns.lat]);
+      if (time === null || isNaN(lon) || isNaN(lat)) {
+        throw Error('Malformed CSV row on line ' + (i + 1) + '.');
+      }
+      records.push({
+        name: fields[columns.name],
+        time: time,
+        lon: lon,
+        lat: lat
+      });
+    }
+    return geovelo.formats.buildBeacons(records);
+  },
+
+  /**
+   * Pick the most likely CSV delimiter (comma, semicolon or tab) by counting
+   * occurrences in the header line.
+   *
+   * @param {string} line The header line.
+   * @return {string} The delimiter character.
+   */
+  detectCsvDelimiter: function(line) {
+    var best = ',';
+    var bestCount = 0;
+    [',', ';', '\t'].forEach(function(delimiter) {
+      var count = line.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Split one line of CSV into fields, honoring double-quoted fields (with ""
+   * as an escaped quote). Quoted fields may not span lines.
+   *
+   * @param {string} line The line to split.
+   * @param {string} delimiter The delimiter character.
+   * @return {!Array} Array of field strings.
+   */
+  splitCsvLine: function(line, delimiter) {
+    var fields = [];
+    var field = '';
+    var quoted = false;
+    for (var i = 0; i < line.length; i++) {
+      var c = line.charAt(i);
+      if (quoted) {
+        if (c === '"' && line.charAt(i + 1) === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += c;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  },
+
+  /**
+   * Parse a time value in any of the forms we accept: a Unix timestamp in
+   * seconds (or milliseconds), a decimal year, an NGL YYMMMDD date string, or
+   * anything Date.parse() understands such as ISO 8601.
+   *
+   * @param {string|number} value The time value.
+   * @return {?number} Unix timestamp, or null if the value is unreadable.
+   */
+  parseTime: function(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (/^\s*-?\d+(\.\d*)?\s*$/.test(value)) {
+      var number = +value;
+      if (number < 3000) {
+        return geovelo.formats.parseDecimalYear(number);
+      }
+      return number > 1e11 ? number / 1000 : number;
+    }
+    var time = geovelo.formats.parseDateString(value);
+    if (time !== null) {
+      return time;
+    }
+    time = Date.parse(value);
+    return isNaN(time) ? null : time / 1000;
+  },
+
+  /**
+   * Parse a Nevada Geodetic Laboratory tenv3 file. The header line, if
+   * present, is used to find the columns, otherwise the standard tenv3 column
+   * positions are assumed. A file may contain records for several stations.
+   *
+   * @param {string} text The contents of the tenv3 file.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseTenv3: function(text) {
+    var lines = geovelo.formats.splitLines(text);
+    var columns = TENV3_COLUMNS;
+
+    var header = lines[0] && lines[0].trim().split(/\s+/);
+    if (header && header[0] === 'site') {
+      columns = {};
+      header.forEach(function(label, index) {
+        var name = TENV3_HEADER_LABELS[label.toLowerCase()];
+        if (name) {
+          columns[name] = index;
+        }
+      });
+      lines = lines.slice(1);
+      Object.keys(TENV3_COLUMNS).forEach(function(name) {
+        if (!(name in columns)) {
+          throw Error('tenv3 header is missing a column for ' + name + '.');
+        }
+      });
+    }
+
+    return geovelo.formats.parseNglRecords(lines, columns);
+  },
+
+  /**
+   * Parse a Nevada Geodetic Laboratory tenv file. Unlike tenv3, the tenv
+   * format only carries east/north/up displacements and the longitude of the
+   * reference position, so each beacon gets e, n and u arrays and a reference
+   * with only a lon. The rest of the reference position has to be supplied
+   * before the beacons can be placed on the map, see
+   * geovelo.data.convertBeaconCoordinates().
+   *
+   * @param {string} text The contents of the tenv file.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseTenv: function(text) {
+    var lines = geovelo.formats.splitLines(text);
+    var columns = TENV_COLUMNS;
+    var refLons = {};
+    var records = [];
+    for (var i = 0; i < lines.length; i++) {
+      var fields = lines[i].trim().split(/\s+/);
+      var time = geovelo.formats.parseNglTime(fields, columns);
+      var refLon = parseFloat(fields[columns.refLon]);
+      var e = parseFloat(fields[columns.e]);
+      var n = parseFloat(fields[columns.n]);
+      var u = parseFloat(fields[columns.u]);
+      if (time === null || isNaN(refLon) || isNaN(e) || isNaN(n) || isNaN(u)) {
+        throw Error('Malformed record on line ' + (i + 1) + '.');
+      }
+      refLons[fields[columns.site]] = refLon > 180 ? refLon - 360 : refLon;
+      records.push({
+        name: fields[columns.site],
+        time: time,
+        e: e,
+        n: n,
+        u: u
+      });
+    }
+    var beacons = geovelo.formats.buildBeacons(records, ['e', 'n', 'u']);
+    beacons.forEach(function(beacon) {
+      beacon.reference = { lon: refLons[beacon.name] };
+    });
+    return beacons;
+  },
+
+  /**
+   * Shared implementation for tenv and tenv3 parsing. Each whitespace
+   * delimited line is a record; the column positions tell which fields hold
+   * the site name, epoch and position.
+   *
+   * @param {!Array} lines Non-blank record lines.
+   * @param {!Object} columns Hash of column name to field index.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseNglRecords: function(lines, columns) {
+    var records = [];
+    for (var i = 0; i < lines.length; i++) {
+      var fields = lines[i].trim().split(/\s+/);
+      var time = geovelo.formats.parseNglTime(fields, columns);
+      var lon = parseFloat(fields[columns.lon]);
+      var lat = parseFloat(fields[columns.lat]);
+      if (time === null || isNaN(lon) || isNaN(lat)) {
+        throw Error('Malformed record on line ' + (i + 1) + '.');
+      }
+      records.push({
+        name: fields[columns.site],
+        time: time,
+        lon: lon > 180 ? lon - 360 : lon,
+        lat: lat
+      });
+    }
+    return geovelo.formats.buildBeacons(records);
+  },
+
+  /**
+   * Read the epoch of an NGL record from its YYMMMDD date string, falling back
+   * to its decimal year. NGL solutions are daily, so decimal years (which NGL
+   * centres on noon) are floored to midnight to match the date strings.
+   *
+   * @param {!Array<string>} fields The fields of the record.
+   * @param {!Object} columns Hash of column name to field index, with date and
+   *     decimalYear.
+   * @return {?number} Unix timestamp, or null if neither can be read.
+   */
+  parseNglTime: function(fields, columns) {
+    var time = geovelo.formats.parseDateString(fields[columns.date]);
+    if (time === null) {
+      time = geovelo.formats.parseDecimalYear(fields[columns.decimalYear]);
+      time = time === null ? null : time - time % SECONDS_PER_DAY;
+    }
+    return time;
+  },
+
+  /**
+   * Given an array of individual position records, each with name, time (Unix
+   * timestamp), lon and lat properties, group them by name into beacon data
+   * objects. Each beacon gets an explicit times array alongside its lon and
+   * lat arrays, sorted by time. If a station has several records with the same
+   * time, the last one wins. Records may carry other values instead of lon and
+   * lat, such as e, n and u displacements, by naming them in keys.
+   *
+   * Placing the readings on a regular grid of time steps is left to
+   * geovelo.data.regularizeBeacon(), once the base step is known.
+   *
+   * @param {!Array} records An array of position records, in any order.
+   * @param {Array<string>=} keys The values of each record to collect into
+   *     arrays. Defaults to lon and lat.
+   * @return {!Array} An array of beacon data objects, in first-seen order.
+   */
+  buildBeacons: function(records, keys) {
+    keys = keys || ['lon', 'lat'];
+    var names = [];
+    var byName = {};
+    records.forEach(function(record) {
+      if (!byName[record.name]) {
+        byName[record.name] = [];
+        names.push(record.name);
+      }
+      byName[record.name].push(record);
+    });
+
+    return names.map(function(name) {
+      var stationRecords = byName[name].sort(function(a, b) {
+        return a.time - b.time;
+      });
+
+      var beacon = {
+        name: name,
+        start: stationRecords[0].time,
+        times: []
+      };
+      keys.forEach(function(key) {
+        beacon[key] = [];
+      });
+      stationRecords.forEach(function(record) {
+        var last = beacon.times.length - 1;
+        if (last < 0 || beacon.times[last] !== record.time) {
+          beacon.times.push(record.time);
+          last++;
+        }
+        keys.forEach(function(key) {
+          beacon[key][last] = record[key];
+        });
+      });
+      return beacon;
+    });
+  },
+
+  /**
+   * Parse an NGL style YYMMMDD date string, like 07JAN21, into the Unix
+   * timestamp of that day's midnight (UTC). Two-digit years below 80 are taken
+   * to be in the 2000s.
+   *
+   * @param {string} value The date string.
+   * @return {?number} Unix timestamp, or null if the string is not a date.
+   */
+  parseDateString: function(value) {
+    var match = /^(\d\d)([A-Z]{3})(\d\d)$/i.exec(value || '');
+    if (!match || !(match[2].toUpperCase() in MONTHS)) {
+      return null;
+    }
+    var year = +match[1];
+    year += year < 80 ? 2000 : 1900;
+    return Date.UTC(year, MONTHS[match[2].toUpperCase()], +match[3]) / 1000;
+  },
+
+  /**
+   * Parse a decimal year, like 2007.0534, into a Unix timestamp.
+   *
+   * @param {string|number} value The decimal year.
+   * @return {?number} Unix timestamp, or null if the value is not a number.
+   */
+  parseDecimalYear: function(value) {
+    var decimalYear = parseFloat(value);
+    if (isNaN(decimalYear)) {
+      return null;
+    }
+    var year = Math.floor(decimalYear);
+    var yearStart = Date.UTC(year, 0, 1) / 1000;
+    var yearEnd = Date.UTC(year + 1, 0, 1) / 1000;
+    return yearStart + (decimalYear - year) * (yearEnd - yearStart);
+  },
+
+  /**
+   * Magic number at the start of every gvb file, the ASCII string 'GVB1'.
+   */
+  BINARY_MAGIC: 'GVB1',
+
+  /**
+   * Parse the gvb binary dataset format. See data/README.md for the layout.
+   * Every array comes back as a Float64Array, whether it was stored as 64-bit
+   * or 32-bit floats.
+   *
+   * @param {!ArrayBuffer} buffer The contents of the gvb file.
+   * @return {!Array} An array of beacon data objects.
+   */
+  parseBinary: function(buffer) {
+    var view = new DataView(buffer);
+    var magic = String.fromCharCode.apply(
+        null, new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (magic !== geovelo.formats.BINARY_MAGIC) {
+      throw Error('Not a gvb file.');
+    }
+
+    var headerLength = view.getUint32(4, true);
+    var header = JSON.parse(new TextDecoder().decode(
+        new Uint8Array(buffer, 8, headerLength)));
+
+    // Read each array value by value, since the file is little-endian whatever
+    // the platform.
+    var offset = 8 + geovelo.formats.padToEight(headerLength);
+    return header.beacons.map(function(entry) {
+      var beacon = {
+        name: entry.name,
+        start: entry.start,
+        step: entry.step
+      };
+      if (entry.offsets) {
+        beacon.offsets = entry.offsets;
+      }
+      entry.fields.forEach(function(field) {
+        var float64 = header.type !== 'float32' || field === 'times';
+        var size = float64 ? 8 : 4;
+        if (offset + entry.length * size > buffer.byteLength) {
+          throw Error('gvb file is truncated.');
+        }
+        var values = beacon[field] = new Float64Array(entry.length);
+        for (var i = 0; i < entry.length; i++, offset += size) {
+          values[i] = float64 ? view.getFloat64(offset, true) :
+              view.getFloat32(offset, true);
+        }
+      });
+      return beacon;
+    });
+  },
+
+  /**
+   * Write beacons into the gvb binary dataset format. See data/README.md for
+   * the layout. With the default float64 type, parseBinary() returns exactly
+   * the values that were written. Times are always written as 64-bit floats.
+   *
+   * @param {!Array} beacons An array of beacon data objects.
+   * @param {string=} type Either 'float64' (default) or 'float32'.
+   * @return {!ArrayBuffer} The contents of the gvb file.
+   */
+  writeBinary: function(beacons, type) {
+    type = type || 'float64';
+
+    var header = {
+      type: type,
+      beacons: beacons.map(function(beacon) {
+        var entry = {
+          name: beacon.name,
+          start: beacon.times ? beacon.times[0] : beacon.start,
+          step: beacon.step || SECONDS_PER_DAY,
+          length: beacon.lon.length,
+          fields: ['lon', 'lat', 'height', 'times'].filter(function(field) {
+            return beacon[field];
+          })
+        };
+        if (beacon.offsets && beacon.offsets.length) {
+          entry.offsets = beacon.offsets;
+        }
+        return entry;
+      })
+    };
+    var headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+    var sizeOf = function(field) {
+      return type === 'float32' && field !== 'times' ? 4 : 8;
+    };
+    var dataLength = 0;
+    header.beacons.forEach(function(entry) {
+      entry.fields.forEach(function(field) {
+        dataLength += entry.length * sizeOf(field);
+      });
+    });
+
+    var headerEnd = 8 + geovelo.formats.padToEight(headerBytes.length);
+    var buffer = new ArrayBuffer(headerEnd + dataLength);
+    var bytes = new Uint8Array(buffer);
+    var view = new DataView(buffer);
+    for (var i = 0; i < 4; i++) {
+      bytes[i] = geovelo.formats.BINARY_MAGIC.charCodeAt(i);
+    }
+    view.setUint32(4, headerBytes.length, true);
+    bytes.set(headerBytes, 8);
+
+    // Every field gets exactly the length in the header, so that a shorter or
+    // longer array can't shift the ones after it. Missing readings, which may
+    // be null in loaded beacons or past the end of a short array, are 0.
+    var offset = headerEnd;
+    beacons.forEach(function(beacon, index) {
+      var entry = header.beacons[index];
+      entry.fields.forEach(function(field) {
+        var values = beacon[field];
+        var size = sizeOf(field);
+        for (var i = 0; i < entry.length; i++, offset += size) {
+          if (size === 8) {
+            view.setFloat64(offset, values[i] || 0, true);
+          } else {
+            view.setFloat32(offset, values[i] || 0, true);
+          }
+        }
+      });
+    });
+    return buffer;
+  },
+
+  /**
+   * Round a byte length up to the next multiple of eight.
+   *
+   * @param {number} length The byte length.
+   * @return {number} The padded length.
+   */
+  padToEight: function(length) {
+    return Math.ceil(length / 8) * 8;
+  },
+
+  /**
+   * Split text into an array of its non-blank lines.
+   *
+   * @param {string} text The text to split.
+   * @return {!Array} Array of strings.
+   */
+  splitLines: function(text) {
+    return text.split(/\r?\n/).filter(function(line) {
+      return /\S/.test(line);
+    });
+  },
+
+  /**
+   * Find the first non-blank line of text without splitting all of it, which
+   * matters for very large files.
+   *
+   * @param {string} text The text to search.
+   * @return {string} The first non-blank line, or '' if there is none.
+   */
+  firstLine: function(text) {
+    return (/[^\r\n]*\S[^\r\n]*/.exec(text) || [''])[0];
+  }
+
+};
+
+})();
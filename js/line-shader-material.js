@@ -29,10 +29,20 @@ geovelo = geovelo || {};
  * Custom Line Shader Material.
  *
  * This shader is the real workhorse of the visualization. For each beacon, at
- * each timestep (that is each day) we have one vertex. Vertices are joined by
- * line segments which collectively produce the visualization when rendered.
+ * each timestep (by default each day) we have one vertex. Vertices are joined
+ * by line segments which collectively produce the visualization when rendered.
  *
- * The vertex shader is responsible for computing three things:
+ * WebGL ignores line widths other than 1 on most platforms, so each segment is
+ * drawn as an instance of a quad instead, see createSegmentTemplate(). The
+ * segmentStart and segmentEnd attributes hold the segment's two vertices, and
+ * the template's position says which end each corner of the quad belongs to
+ * and how far along and across the segment to extrude it, in units of the
+ * line's half width in screen pixels. The quad reaches a half width beyond
+ * each end, where the fragment shader rounds it off into a cap, so consecutive
+ * segments overlap in round joins.
+ *
+ * The vertex shader is responsible for computing three things for each vertex
+ * of the segment:
  *
  *   - The final position of the vertex.
  *   - The color of the vertex.
@@ -41,10 +51,10 @@ geovelo = geovelo || {};
  * Computing the final position of the vertex depends on:
  *
  *   - The base position for the beacon (its initial position).
- *   - The current timestamp (for z position).
- *   - The offset position for this day.
+ *   - The current time index (for z position).
+ *   - The offset position for this time step.
  *   - The offset position of the current "start" timestamp.
- *   - The median cumulative offset position for this day.
+ *   - The median cumulative offset position for this time step.
  *   - The scale (for magnification of geodetic velocity).
  *
  * Some of these values are the same for all vertices (uniforms) like scale.
@@ -54,12 +64,34 @@ geovelo = geovelo || {};
  * provided as a uniform, although some of these contain a lot of data. For
  * example, looking up the offset position of the current start timestamp
  * requires a texture (sampler2D) whose texels contain values and are indexed in
- * the u and v direction by the beacon index and day index.
+ * the u and v direction by the beacon index and time index.
+ *
+ * Times are passed to the shader as time indices, that is the number of time
+ * steps since the earliest timestamp of the data, rather than as timestamps.
+ * Unix timestamps are too large to be represented precisely as 32-bit floats,
+ * which matters once time steps are shorter than a day.
+ *
+ * Vertices are colored by one of the COLOR_MODES: by time, along the time
+ * palette, or on the palette of the mode (see PALETTES) by their beacon's
+ * vertical velocity, their instantaneous speed, their direction of
+ * motion (on a hue wheel), their beacon's completeness, or their height change
+ * since the start time. Speed and direction are worked out from the positions
+ * in the texture at the vertex's time step and the one before, and height
+ * change from the heights in the texture. Vertical velocity and completeness
+ * are per-segment attributes, since they aren't needed by other segments.
  *
- * The color and visiblity of the vertices are passed through to the fragment
- * shader, which is comparatively simple. All it has to do is discard the
- * fragment if either vertex of the segment is not visible, and show the
- * interpolated color.
+ * Once both vertices are projected to the screen, the corner is extruded from
+ * its end, and the segment is collapsed out of view if either vertex is not
+ * visible. Only the corner's own end is colored. The fragment shader is
+ * comparatively simple. It shows the interpolated color, fading it out over
+ * the outermost pixel of the line to antialias the edge, with the distance to
+ * the segment rather than to its center line beyond the ends.
+ *
+ * With fadeTail set, lines fade in from the startAnimationClamp to the current
+ * time, which is the endTime or the endAnimationClamp, whichever is earlier.
+ * Sliding both clamps together gives each beacon a tail. The same shaders also
+ * draw a dot per beacon at its position at the current time, when compiled
+ * with DOTS defined, see createDotMaterial().
  *
  * @param {Object} parameters Parameters to send to the Material.
  */
@@ -91,6 +123,22 @@ geovelo.LineShaderMaterial = function(parameters) {
      */
     medianCorrection: { type: 'f', value: 1 },
 
+    /**
+     * Whether each beacon has its own row of regional corrections in the
+     * BeaconVertexTexture to subtract rather than the medians (1 or 0), and
+     * the number of beacons, to find those rows. Set up by
+     * setBeaconVertexTexture().
+     */
+    regionalCorrection: { type: 'f', value: 0 },
+    beaconCount: { type: 'f', value: 0 },
+
+    /**
+     * Whether each beacon has a row of heights in the BeaconVertexTexture
+     * (1 or 0), above any rows of regional corrections. Set up by
+     * setBeaconVertexTexture().
+     */
+    heights: { type: 'f', value: 0 },
+
     /**
      * The beacon vertext texture contains all of the data about each beacon at
      * each timestamp for which we have data. It includes the original starting
@@ -102,20 +150,17 @@ geovelo.LineShaderMaterial = function(parameters) {
      * modelview and projection matricies to get the screen coordinates.
      *
      * This must be set prior to rendering via setBeaconVertexTexture(), which
-     * will also set up the min and max timestamps and dt/db uniforms.
+     * will also set up the maxTimeIndex and dt/db uniforms.
      *
      * @see geovelo.BeaconVertexTexture.
      */
     beaconVertexTexture: { type: 't', value: null },
 
     /**
-     * These timestamps indicate the earliest and latest timestamps of the
-     * underlying data. They're used to compute the coordinates of the median
-     * values to apply, and when looking up the cumulative offset for
-     * recentering on a start timestamp.
+     * The time index of the latest timestamp of the underlying data. The
+     * earliest is always index 0. Used for computing the z position.
      */
-    minTimestamp: { type: 'f', value: 0 },
-    maxTimestamp: { type: 'f', value: 0 },
+    maxTimeIndex: { type: 'f', value: 0 },
 
     /**
      * dt and db are computed units used when peeking into the texture for data
@@ -125,40 +170,188 @@ geovelo.LineShaderMaterial = function(parameters) {
     db: { type: 'f', value: 0 },
 
     /**
-     * These RGBA colors are interpolated between the start and end timestamps
-     * based on the timestamp attribute of each vertex.
+     * How to color vertices, one of the values of
+     * geovelo.LineShaderMaterial.COLOR_MODES.
+     */
+    colorMode: { type: 'f', value: 0 },
+
+    /**
+     * One pixel high lookup texture of the palette of the color mode, from
+     * the low (or start time) color on the left to the high (or end time)
+     * color on the right. Filled in by updatePalette().
+     */
+    palette: {
+      type: 't',
+      value: new THREE.DataTexture(
+          new Uint8Array(4 * geovelo.LineShaderMaterial.PALETTE_SIZE),
+          geovelo.LineShaderMaterial.PALETTE_SIZE, 1, THREE.RGBAFormat,
+          THREE.UnsignedByteType, THREE.UVMapping,
+          THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping,
+          THREE.LinearFilter, THREE.LinearFilter)
+    },
+
+    /**
+     * Vertical velocity in mm/yr and height change in mm which get the high
+     * color, with their negatives getting the low color, and speed in mm/yr
+     * which gets the high color.
+     */
+    verticalRange: { type: 'f', value: 5 },
+    heightRange: { type: 'f', value: 20 },
+    speedRange: { type: 'f', value: 100 },
+
+    /**
+     * Saturation and lightness of the hue wheel, see HUE_WHEEL.
      */
-    startColor: { type: 'v4', value: new THREE.Vector4(0.0, 0.0, 1.0, 1.0) },
-    endColor: { type: 'v4', value: new THREE.Vector4(1.0, 0.0, 0.0, 1.0) },
+    wheelSaturation: {
+      type: 'f',
+      value: geovelo.LineShaderMaterial.HUE_WHEEL.saturation
+    },
+    wheelLightness: {
+      type: 'f',
+      value: geovelo.LineShaderMaterial.HUE_WHEEL.lightness
+    },
 
     /**
-     * These timestamps indicate the earliest and latest timestamps that we'll
-     * draw. The defaults are not necessarily ideal, but they are functional.
+     * Units for converting movement per time step in Web Mercator projected
+     * coordinates to speed: time steps per year, and Web Mercator units per
+     * radian, from which mm per unit follows. Set by setBeaconVertexTexture().
      */
-    startTimestamp: { type: 'f', value: 0 },
-    endTimestamp: { type: 'f', value: +(new Date()) / 1000 },
+    stepsPerYear: { type: 'f', value: 365.25 },
+    unitsPerRadian: { type: 'f', value: 1 },
+    millimetersPerRadian: { type: 'f', value: 6378137000 },
 
     /**
-     * The startTimeIndex is the number of days between minTimestamp and
-     * startTimestamp.
+     * These time indices indicate the earliest and latest times that we'll
+     * draw. They may be fractional. The defaults are functional.
+     */
+    startTime: { type: 'f', value: -Infinity },
+    endTime: { type: 'f', value: Infinity },
+
+    /**
+     * The startTimeIndex is startTime rounded to the nearest time step, which
+     * is where lines are recentered.
      */
     startTimeIndex: { type: 'f', value: 0 },
 
     /**
-     * The animation clamps contain the timestamps that clamp the visibility of
-     * the line to only those vertexes with timestamp values between the clamps.
+     * The animation clamps contain the time indices that clamp the visibility
+     * of the line to only those vertexes with time values between the clamps.
      * Aniamation is achieved by sliding the clamp values over time.
      */
     startAnimationClamp: { type: 'f', value: -Infinity },
-    endAnimationClamp: { type: 'f', value: Infinity }
+    endAnimationClamp: { type: 'f', value: Infinity },
+
+    /**
+     * Whether to fade lines in from the startAnimationClamp to the current
+     * time (1 or 0).
+     */
+    fadeTail: { type: 'f', value: 0 },
+
+    /**
+     * Diameter of the dots in CSS pixels, see createDotMaterial().
+     */
+    dotSize: { type: 'f', value: 6 },
+
+    /**
+     * Width of the lines in CSS pixels, and the size of the drawing buffer in
+     * device pixels with the ratio between the two, for extruding segments in
+     * screen space. The resolution is set by setResolution().
+     */
+    lineWidth: { type: 'f', value: 1 },
+    resolution: { type: 'v2', value: new THREE.Vector2(1, 1) },
+    pixelRatio: { type: 'f', value: 1 }
 
   };
 
+  /**
+   * Earliest timestamp of the data and seconds between time steps, used to
+   * convert timestamps to time indices. Set by setBeaconVertexTexture().
+   */
+  this.minTimestamp = 0;
+  this.timeStep = 60 * 60 * 24;
+
+  /**
+   * Name of the color mode, and the color stops of the palette for coloring
+   * by time, interpolated from the start time to the end time.
+   */
+  this.colorMode = 'time';
+  this.timeColors = geovelo.Palettes.RAMPS.viridis;
+
+  // Blend the antialiased edges of the lines over what's beneath them.
+  parameters.transparent = true;
+
   this.setValues(parameters);
+  this.updatePalette();
 };
 geovelo.LineShaderMaterial.prototype =
   Object.create(THREE.ShaderMaterial.prototype);
 
+/**
+ * Create the corners of the quad drawn for each segment, and the two triangles
+ * which make it up. Each corner is (end, along, across): the end of the segment
+ * it's extruded from (0 for the start, 1 for the end), and how far along and
+ * across the segment to extrude it, in units of the line's half width.
+ *
+ * @return {!Object} Object with positions, the x, y and z of each corner, and
+ * indices, the corners of each triangle.
+ */
+geovelo.LineShaderMaterial.createSegmentTemplate = function() {
+  return {
+    positions: new Float32Array([
+      0, -1, -1,
+      1, 1, -1,
+      1, 1, 1,
+      0, -1, 1
+    ]),
+    indices: new Uint16Array([0, 1, 2, 0, 2, 3])
+  };
+};
+
+/**
+ * Values of the colorMode uniform, by name.
+ */
+geovelo.LineShaderMaterial.COLOR_MODES = {
+  time: 0,
+  vertical: 1,
+  speed: 2,
+  direction: 3,
+  completeness: 4,
+  height: 5
+};
+
+/**
+ * Color stops, from low to high, of the palettes of the color modes other than
+ * time, which have them. Direction uses a hue wheel instead, see HUE_WHEEL.
+ * Time uses the time colors, see setTimeColors().
+ */
+geovelo.LineShaderMaterial.PALETTES = {
+  vertical: [
+    '#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7',
+    '#f4a582', '#d6604d', '#b2182b'
+  ],
+  speed: [
+    '#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a',
+    '#e31a1c', '#bd0026', '#800026'
+  ],
+  completeness: geovelo.Palettes.RAMPS.cividis
+};
+geovelo.LineShaderMaterial.PALETTES.height =
+    geovelo.LineShaderMaterial.PALETTES.vertical;
+
+/**
+ * Width in pixels of the palette lookup texture.
+ */
+geovelo.LineShaderMaterial.PALETTE_SIZE = 256;
+
+/**
+ * Saturation and lightness of the hue wheel for the direction color mode,
+ * whose hue is the azimuth of motion.
+ */
+geovelo.LineShaderMaterial.HUE_WHEEL = {
+  saturation: 0.8,
+  lightness: 0.5
+};
+
 /**
  * Set the BeaconVertexTexture.
  *
@@ -167,23 +360,41 @@ geovelo.LineShaderMaterial.prototype =
 geovelo.LineShaderMaterial.prototype.setBeaconVertexTexture =
     function(texture) {
   this.uniforms.beaconVertexTexture.value = texture;
-  this.uniforms.minTimestamp.value = texture.startTimestamp;
-  this.uniforms.maxTimestamp.value = texture.endTimestamp;
+  this.minTimestamp = texture.startTimestamp;
+  this.timeStep = texture.timeStep;
+  this.uniforms.maxTimeIndex.value = this.getTime(texture.endTimestamp);
   this.uniforms.dt.value = 0.5 / texture.width;  // Two timesteps per pixel.
   this.uniforms.db.value = 1.0 / texture.height;
+  this.uniforms.regionalCorrection.value = texture.regional ? 1 : 0;
+  this.uniforms.heights.value = texture.heights ? 1 : 0;
+  this.uniforms.beaconCount.value = texture.beaconCount;
+  this.uniforms.stepsPerYear.value = 60 * 60 * 24 * 365.25 / texture.timeStep;
+  this.uniforms.unitsPerRadian.value =
+      geovelo.WebMercator.getX(180 / Math.PI) - geovelo.WebMercator.getX(0);
   this.setStartTimestamp(texture.startTimestamp);
   this.setEndTimestamp(texture.endTimestamp);
   this.needsUpdate = true;
 }
 
+/**
+ * Convert a timestamp to a (fractional) time index.
+ *
+ * @param {number} timestamp Unix timestamp to convert.
+ * @return {number} Number of time steps since the earliest timestamp.
+ */
+geovelo.LineShaderMaterial.prototype.getTime = function(timestamp) {
+  return (timestamp - this.minTimestamp) / this.timeStep;
+};
+
 /**
  * Set the start timestamp.
  */
 geovelo.LineShaderMaterial.prototype.setStartTimestamp =
     function(startTimestamp) {
-  this.uniforms.startTimestamp.value = startTimestamp;
-  this.uniforms.startTimeIndex.value = Math.round(
-      (startTimestamp - this.uniforms.minTimestamp.value) / 60 / 60 / 24);
+  this.startTimestamp = startTimestamp;
+  this.uniforms.startTime.value = this.getTime(startTimestamp);
+  this.uniforms.startTimeIndex.value =
+      Math.round(this.uniforms.startTime.value);
 };
 
 /**
@@ -191,7 +402,8 @@ geovelo.LineShaderMaterial.prototype.setStartTimestamp =
  */
 geovelo.LineShaderMaterial.prototype.setEndTimestamp =
     function(endTimestamp) {
-  this.uniforms.endTimestamp.value = endTimestamp;
+  this.endTimestamp = endTimestamp;
+  this.uniforms.endTime.value = this.getTime(endTimestamp);
 };
 
 /**
@@ -209,42 +421,183 @@ geovelo.LineShaderMaterial.prototype.setMedianCorrection =
   this.uniforms.medianCorrection.value = medianCorrection;
 };
 
+/**
+ * Set how to color vertices.
+ *
+ * @param {string} colorMode A key of geovelo.LineShaderMaterial.COLOR_MODES.
+ */
+geovelo.LineShaderMaterial.prototype.setColorMode = function(colorMode) {
+  if (!(colorMode in geovelo.LineShaderMaterial.COLOR_MODES)) {
+    throw Error('Unknown color mode: ' + colorMode);
+  }
+  this.colorMode = colorMode;
+  this.uniforms.colorMode.value =
+      geovelo.LineShaderMaterial.COLOR_MODES[colorMode];
+  this.updatePalette();
+};
+
+/**
+ * Set the color stops of the palette for coloring by time.
+ *
+ * @param {!Array<string>} colors Two or more CSS color strings, from the
+ * start time's color to the end time's.
+ */
+geovelo.LineShaderMaterial.prototype.setTimeColors = function(colors) {
+  this.timeColors = colors;
+  this.updatePalette();
+};
+
+/**
+ * Fill in the palette lookup texture from the color stops of the color mode.
+ */
+geovelo.LineShaderMaterial.prototype.updatePalette = function() {
+  var colors = this.colorMode === 'time' ? this.timeColors :
+      geovelo.LineShaderMaterial.PALETTES[this.colorMode];
+  if (!colors) {
+    return;
+  }
+  var interpolate = geovelo.Palettes.interpolate(colors);
+  var texture = this.uniforms.palette.value;
+  var size = texture.image.width;
+  for (var i = 0; i < size; i++) {
+    var color = interpolate(i / (size - 1));
+    texture.image.data.set([color.r, color.g, color.b, 255], i * 4);
+  }
+  texture.needsUpdate = true;
+};
+
+/**
+ * Set the vertical velocity in mm/yr which gets the full up or down color.
+ */
+geovelo.LineShaderMaterial.prototype.setVerticalRange =
+    function(verticalRange) {
+  this.uniforms.verticalRange.value = verticalRange;
+};
+
+/**
+ * Set the height change in mm which gets the full up or down color.
+ */
+geovelo.LineShaderMaterial.prototype.setHeightRange = function(heightRange) {
+  this.uniforms.heightRange.value = heightRange;
+};
+
+/**
+ * Set the speed in mm/yr which gets the high color.
+ */
+geovelo.LineShaderMaterial.prototype.setSpeedRange = function(speedRange) {
+  this.uniforms.speedRange.value = speedRange;
+};
+
+/**
+ * Create a material which draws a dot for each beacon at its position at the
+ * current time, rather than lines. It shares this material's uniforms, so it
+ * follows all of the settings made here. Each vertex of the dots' geometry is
+ * (beacon index, time index of the beacon's first reading, time index of its
+ * last reading).
+ *
+ * @return {!THREE.ShaderMaterial} The dot material.
+ */
+geovelo.LineShaderMaterial.prototype.createDotMaterial = function() {
+  return new THREE.ShaderMaterial({
+    vertexShader: geovelo.LineShaderMaterial.VERTEX_SHADER,
+    fragmentShader: geovelo.LineShaderMaterial.FRAGMENT_SHADER,
+    uniforms: this.uniforms,
+    defines: { DOTS: '' },
+    transparent: true
+  });
+};
+
+/**
+ * Set the diameter of the dots in CSS pixels.
+ */
+geovelo.LineShaderMaterial.prototype.setDotSize = function(dotSize) {
+  this.uniforms.dotSize.value = dotSize;
+};
+
+/**
+ * Set the width of the lines in CSS pixels.
+ */
+geovelo.LineShaderMaterial.prototype.setLineWidth = function(lineWidth) {
+  this.uniforms.lineWidth.value = lineWidth;
+};
+
+/**
+ * Set the size of the drawing buffer, for extruding segments in screen space.
+ *
+ * @param {number} width Width of the drawing buffer in CSS pixels.
+ * @param {number} height Height of the drawing buffer in CSS pixels.
+ * @param {number} pixelRatio Device pixels per CSS pixel.
+ */
+geovelo.LineShaderMaterial.prototype.setResolution =
+    function(width, height, pixelRatio) {
+  this.uniforms.resolution.value.set(width * pixelRatio, height * pixelRatio);
+  this.uniforms.pixelRatio.value = pixelRatio;
+};
+
 /**
  * This GLSL program implements the vertex shader for the line material. Each
- * vertex's color is set to the linear interpolation between the startColor and
- * endColor using the startTimestamp and endTimestamp as the domain and the
- * vertex's timestamp attribute as the value within that domain.
+ * vertex's color is looked up on the palette using the startTime and endTime as
+ * the domain and the vertex's time index as the value within that domain. In
+ * the other color modes, it's instead looked up on the palette by the mode's
+ * value or on the hue wheel, see COLOR_MODES.
  *
- * The varying value vVisible will be 1 whenever the timestamp is between
- * startTimestamp and endTimestamp, and it's also between the
- * startAnimationClamp and endAnimationClamp. If the vertex's timestamp
- * attribute is outside of either of these ranges, then vVisible will be 0.
+ * A vertex is visible whenever its time index is between startTime and
+ * endTime, and it's also between the startAnimationClamp and
+ * endAnimationClamp. If either vertex of the segment is outside of either of
+ * these ranges, then the whole segment is moved outside the clip volume.
+ *
+ * The varying value vSegment holds the corner's distance along and across the
+ * segment from its start, and the segment's length, all in device pixels.
  */
 geovelo.LineShaderMaterial.VERTEX_SHADER = `
 
   uniform float scale;
   uniform float medianCorrection;
+  uniform float regionalCorrection;
+  uniform float beaconCount;
+  uniform float heights;
 
   uniform sampler2D beaconVertexTexture;
 
-  uniform float minTimestamp;
-  uniform float maxTimestamp;
+  uniform float maxTimeIndex;
 
   uniform float dt;
   uniform float db;
 
-  uniform vec4 startColor;
-  uniform vec4 endColor;
+  uniform float colorMode;
+  uniform sampler2D palette;
+  uniform float verticalRange;
+  uniform float heightRange;
+  uniform float speedRange;
+  uniform float wheelSaturation;
+  uniform float wheelLightness;
+
+  uniform float stepsPerYear;
+  uniform float unitsPerRadian;
+  uniform float millimetersPerRadian;
 
-  uniform float startTimestamp;
-  uniform float endTimestamp;
+  uniform float startTime;
+  uniform float endTime;
   uniform float startTimeIndex;
 
   uniform float startAnimationClamp;
   uniform float endAnimationClamp;
+  uniform float fadeTail;
+
+  uniform float lineWidth;
+  uniform float dotSize;
+  uniform vec2 resolution;
+  uniform float pixelRatio;
+
+  #ifndef DOTS
+  attribute vec3 segmentStart;
+  attribute vec3 segmentEnd;
+  #endif
+  attribute float verticalVelocity;
+  attribute float completeness;
 
   varying vec4 vColor;
-  varying float vVisible;
+  varying vec3 vSegment;
 
   // Given time and beacon indices, look up the Web Mercator lon/lat coords.
   vec2 lookupPosition(float timeIndex, float beaconIndex) {
@@ -253,25 +606,38 @@ geovelo.LineShaderMaterial.VERTEX_SHADER = `
     return mod(timeIndex, 2.0) > 0.5 ? pack.xy : pack.zw;
   }
 
-  void main() {
+  // Look up a color on the palette, from 0 (low) to 1 (high).
+  vec4 lookupPalette(float t) {
+    return texture2D(palette, vec2(t, 0.5));
+  }
 
-    // Extract indexes and times from the vertex position.
-    float beaconIndex = position.x;
+  // Convert a hue (0-1), saturation and lightness to an RGBA color.
+  vec4 hsl(float h, float s, float l) {
+    vec3 rgb = clamp(
+        abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return vec4(l + s * (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0)), 1.0);
+  }
 
-    float beaconStart = position.y;
-    float beaconStartIndex = (beaconStart - minTimestamp) / 86400.0;
+  // Row of the texture holding the corrections to subtract for a beacon: the
+  // medians, or with regional corrections, the beacon's own row.
+  float getMedianRow(float beaconIndex) {
+    return regionalCorrection > 0.5 ? beaconCount + beaconIndex : -1.0;
+  }
 
-    float timestamp = position.z;
-    float timeIndex = (timestamp - minTimestamp) / 86400.0;
+  // Compute the clip space position and visibility of a vertex.
+  void computePosition(vec3 vertex, out vec4 clipPosition,
+      out float visible) {
 
-    vColor = mix(startColor, endColor,
-        smoothstep(startTimestamp, endTimestamp, timestamp));
+    // Extract indexes from the vertex.
+    float beaconIndex = vertex.x;
+    float beaconStartIndex = vertex.y;
+    float timeIndex = vertex.z;
 
-    vVisible =
-        step(startAnimationClamp, timestamp) *
-        step(startTimestamp, timestamp) *
-        step(timestamp, endTimestamp) *
-        step(timestamp, endAnimationClamp);
+    visible =
+        step(startAnimationClamp, timeIndex) *
+        step(startTime, timeIndex) *
+        step(timeIndex, endTime) *
+        step(timeIndex, endAnimationClamp);
 
     // Beacon's initial position.
     vec2 basePosition = lookupPosition(-1.0, beaconIndex);
@@ -282,36 +648,173 @@ geovelo.LineShaderMaterial.VERTEX_SHADER = `
         lookupPosition(startTimeIndex, beaconIndex);
 
     // Cumulative median offset position relative to median at start.
+    float medianRow = getMedianRow(beaconIndex);
     float medianBaseIndex = max(startTimeIndex, beaconStartIndex);
     vec2 medianPosition = medianCorrection *
-        (lookupPosition(timeIndex, -1.0) -
-         lookupPosition(medianBaseIndex, -1.0));
+        (lookupPosition(timeIndex, medianRow) -
+         lookupPosition(medianBaseIndex, medianRow));
 
-    float z = smoothstep(minTimestamp, maxTimestamp, timestamp);
+    float z = smoothstep(0.0, maxTimeIndex, timeIndex);
     vec4 finalPosition =
         vec4(basePosition + (offsetPosition - medianPosition) * scale, z, 1.0);
 
-    gl_Position = projectionMatrix * modelViewMatrix * finalPosition;
+    clipPosition = projectionMatrix * modelViewMatrix * finalPosition;
+
+  }
+
+  // Compute the color of a vertex.
+  vec4 computeColor(vec3 vertex) {
+
+    float beaconIndex = vertex.x;
+    float beaconStartIndex = vertex.y;
+    float timeIndex = vertex.z;
+
+    vec4 color;
+    if (colorMode < 0.5) {
+      color = lookupPalette(smoothstep(startTime, endTime, timeIndex));
+    } else if (colorMode < 1.5) {
+      color = lookupPalette(
+          0.5 + 0.5 * clamp(verticalVelocity / verticalRange, -1.0, 1.0));
+    } else if (colorMode < 3.5) {
+      // Movement since the previous time step, less the median's. There's
+      // none at the beacon's first step, whose previous slot isn't its own.
+      float medianRow = getMedianRow(beaconIndex);
+      float previousIndex = max(timeIndex - 1.0, beaconStartIndex);
+      vec2 motion =
+          lookupPosition(timeIndex, beaconIndex) -
+          lookupPosition(previousIndex, beaconIndex) -
+          medianCorrection * (lookupPosition(timeIndex, medianRow) -
+              lookupPosition(previousIndex, medianRow));
+      if (colorMode < 2.5) {
+        // Web Mercator units shrink by the cosine of latitude, which is one
+        // over the hyperbolic cosine of the projected y in radians.
+        vec2 basePosition = lookupPosition(-1.0, beaconIndex);
+        float y = basePosition.y / unitsPerRadian - 3.14159265;
+        float millimetersPerUnit = millimetersPerRadian / unitsPerRadian *
+            2.0 / (exp(y) + exp(-y));
+        float speed = length(motion) * millimetersPerUnit * stepsPerYear;
+        color = lookupPalette(clamp(speed / speedRange, 0.0, 1.0));
+      } else {
+        float azimuth = atan(motion.x, motion.y) / 6.28318531;
+        color = hsl(fract(azimuth), wheelSaturation, wheelLightness);
+      }
+    } else if (colorMode < 4.5) {
+      color = lookupPalette(completeness);
+    } else if (heights > 0.5) {
+      // Height change since the start time, from the first slot of the pairs
+      // in the beacon's row of heights.
+      float heightRow = beaconCount * (1.0 + regionalCorrection) + beaconIndex;
+      float baseIndex = max(startTimeIndex, beaconStartIndex);
+      float heightChange = lookupPosition(timeIndex, heightRow).x -
+          lookupPosition(baseIndex, heightRow).x;
+      color = lookupPalette(
+          0.5 + 0.5 * clamp(heightChange / heightRange, -1.0, 1.0));
+    } else {
+      color = lookupPalette(0.5);
+    }
+
+    if (fadeTail > 0.5) {
+      float currentTime = min(endTime, endAnimationClamp);
+      color.a *= clamp((timeIndex - startAnimationClamp) /
+          (currentTime - startAnimationClamp), 0.0, 1.0);
+    }
+
+    return color;
 
   }
+
+  #ifdef DOTS
+
+  void main() {
+
+    // The latest time step up to the current time, if the beacon has one.
+    float timeIndex = floor(min(endTime, endAnimationClamp));
+    vec3 vertex = vec3(position.xy, timeIndex);
+    vec4 clipPosition;
+    float visible;
+    computePosition(vertex, clipPosition, visible);
+    visible *= step(position.y, timeIndex) * step(timeIndex, position.z);
+    gl_Position = visible < 1.0 ? vec4(2.0, 2.0, 2.0, 1.0) : clipPosition;
+    vColor = computeColor(vertex);
+
+    // Leave one pixel around the dot, to fade out the edge.
+    gl_PointSize = dotSize * pixelRatio + 2.0;
+    vSegment = vec3(0.0);
+
+  }
+
+  #else
+
+  void main() {
+
+    vec4 startPosition, endPosition;
+    float startVisible, endVisible;
+    computePosition(segmentStart, startPosition, startVisible);
+    computePosition(segmentEnd, endPosition, endVisible);
+
+    if (startVisible * endVisible < 1.0) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      vColor = vec4(0.0);
+      vSegment = vec3(0.0);
+      return;
+    }
+
+    // Both ends in device pixels, and the directions along and across.
+    vec2 start = 0.5 * resolution * startPosition.xy / startPosition.w;
+    vec2 end = 0.5 * resolution * endPosition.xy / endPosition.w;
+    float segmentLength = length(end - start);
+    vec2 along = segmentLength > 0.0 ?
+        (end - start) / segmentLength : vec2(1.0, 0.0);
+    vec2 across = vec2(-along.y, along.x);
+
+    // Extrude one pixel beyond the half width, to fade out the edge.
+    float radius = 0.5 * lineWidth * pixelRatio + 1.0;
+    vec2 offset = radius * (position.y * along + position.z * across);
+
+    bool atEnd = position.x > 0.5;
+    vec4 clipPosition = atEnd ? endPosition : startPosition;
+    vec2 point = (atEnd ? end : start) + offset;
+    gl_Position = vec4(2.0 * point / resolution * clipPosition.w,
+        clipPosition.zw);
+    vColor = computeColor(atEnd ? segmentEnd : segmentStart);
+    vSegment = vec3((atEnd ? segmentLength : 0.0) + radius * position.y,
+        radius * position.z, segmentLength);
+
+  }
+
+  #endif
 `;
 
 /**
  * This GLSL program implements the fragment shader for the line material. It's
- * your basic run-of-the-mill fragment shader with the exception that it'll
- * discard any fragments where vVisible is less than 1. This happens whenever
- * one (or both) of the verticess for this line segment lie outside either the
- * start/end timestamps or animation clamps.
+ * your basic run-of-the-mill fragment shader with the exception that the
+ * opacity falls from 1 to 0 over the pixel straddling the edge of the line
+ * (or dot), which antialiases it. Fragments beyond the edge are discarded.
+ * Beyond either end of a segment, the distance is to the end, which rounds off
+ * the quad into a cap.
  */
 geovelo.LineShaderMaterial.FRAGMENT_SHADER = `
 
+  uniform float lineWidth;
+  uniform float dotSize;
+  uniform float pixelRatio;
+
   varying vec4 vColor;
-  varying float vVisible;
+  varying vec3 vSegment;
 
   void main() {
-    if (vVisible < 1.0) {
+    #ifdef DOTS
+    float radius = 0.5 * dotSize * pixelRatio;
+    float edgeDistance = length(gl_PointCoord - 0.5) * (2.0 * radius + 2.0);
+    #else
+    float radius = 0.5 * lineWidth * pixelRatio;
+    float along = vSegment.x - clamp(vSegment.x, 0.0, vSegment.z);
+    float edgeDistance = length(vec2(along, vSegment.y));
+    #endif
+    float alpha = clamp(radius + 0.5 - edgeDistance, 0.0, 1.0);
+    if (alpha <= 0.0) {
       discard;
     }
-    gl_FragColor = vColor;
+    gl_FragColor = vec4(vColor.rgb, vColor.a * alpha);
   }
 `;
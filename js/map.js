@@ -47,9 +47,16 @@ geovelo.Map = function(containerElement) {
   // Array of Google Maps Markers. Will be created when data arrives.
   this.markers = null;
 
+  // Latest data for each beacon with a marker, by beacon name, shown in the
+  // info window. See setData().
+  this.beacons = {};
+
   // Whether markers should be visible.
   this.markerVisibility = false;
 
+  // Fitted velocities of the beacons, by beacon name. See setVelocities().
+  this.velocities = {};
+
   // Callback handlers for when the bounds change.
   this.boundsChangedHandlers = [];
 
@@ -128,8 +135,37 @@ geovelo.Map = function(containerElement) {
       <p>
         Lat, Lon: <span class="lat"></span>, <span class="lon"></span>
       </p>
+      <p>
+        Height (m): <span class="height"></span>
+      </p>
+      <p>
+        Velocity E, N, U (mm/yr): <span class="velocity"></span>
+      </p>
+      <p>
+        Offsets: <span class="offsets"></span>
+      </p>
+      <p>
+        Outliers removed: <span class="outliers"></span>
+      </p>
+      <p>
+        <button class="reference">Use as reference station</button>
+      </p>
   `);
 
+  // Beacon whose info is showing in the info window.
+  this.infoBeacon = null;
+
+  // Announce when the user picks the beacon in the info window as a reference
+  // station for the reference frame.
+  this.infoContent.select('.reference').on('click', function() {
+    this.domElement.dispatchEvent(new CustomEvent('reference-selected', {
+          bubbles: true,
+          detail: {
+            name: this.infoBeacon.name
+          }
+        }));
+  }.bind(this));
+
   // Info window to show data about a particular marker. Content is bound to
   // the infoContent div.
   this.infoWindow = new google.maps.InfoWindow({
@@ -140,9 +176,33 @@ geovelo.Map = function(containerElement) {
 /**
  * New beacon data is available. Set up markers and zoom over there.
  *
+ * If the data is an update of the same beacons, prepared again with different
+ * data options, the markers and the view are kept, and only the data shown in
+ * the info window changes.
+ *
  * @param {Array} beacons An array of data for the beacons.
+ * @param {boolean=} update Whether the data is an update of the same files.
  */
-geovelo.Map.prototype.setData = function(beacons) {
+geovelo.Map.prototype.setData = function(beacons, update) {
+  var previous = this.beacons;
+  this.beacons = {};
+  beacons.forEach(function(beacon) {
+    this.beacons[beacon.name] = beacon;
+  }, this);
+  if (update && this.markers && this.markers.length === beacons.length &&
+      beacons.every(function(beacon) {
+        return beacon.name in previous;
+      })) {
+    return;
+  }
+
+  // Remove the markers of any previous data.
+  if (this.markers) {
+    this.markers.forEach(function(marker) {
+      marker.setMap(null);
+    });
+  }
+
   // Desired map bounds based on min/max of east/west and south/north.
   var bounds = {
     east: -Infinity,
@@ -168,7 +228,9 @@ geovelo.Map.prototype.setData = function(beacons) {
     bounds.south = Math.min(bounds.south, lat);
   }
 
-  this.map.fitBounds(bounds);
+  if (!update) {
+    this.map.fitBounds(bounds);
+  }
 
   this.markers = markers;
 };
@@ -183,6 +245,7 @@ geovelo.Map.prototype.createMarker = function(beacon) {
   // Keep track of the first, max and min lat and lon values.
   var lat = null;
   var lon = null;
+  var height = null;
   var minLat = 90;
   var maxLat = -90;
   var minLon = Infinity;
@@ -195,6 +258,7 @@ geovelo.Map.prototype.createMarker = function(beacon) {
     if (lat === null && currentLat && currentLon) {
       lat = currentLat;
       lon = currentLon;
+      height = beacon.height ? beacon.height[i] : null;
     }
     minLat = Math.min(minLat, currentLat);
     minLat = Math.min(minLat, currentLat);
@@ -213,19 +277,28 @@ geovelo.Map.prototype.createMarker = function(beacon) {
     visible: this.markerVisibility,
   });
 
-  // Derived values from the beacon.
-  var startDate = new Date(beacon.start * 1000);
-
-  // When marker is clicked, update the Info Window content and show it.
+  // When marker is clicked, update the Info Window content and show it, with
+  // the latest data for the beacon.
+  var name = beacon.name;
   marker.addListener('click', function() {
+    var beacon = this.beacons[name];
+    var startDate = new Date(beacon.start * 1000);
+
     // This code makes heavy use of the d3 join/enter/update pattern.
     // JOIN.
     var content = this.infoContent.data([beacon]);
 
+    this.infoBeacon = beacon;
     content.select('.name').text(beacon.name);
     content.select('.start').text(startDate.toDateString());
     content.select('.lat').text(lat.toFixed(3));
     content.select('.lon').text(lon.toFixed(3));
+    content.select('.height').text(
+        height === null || height === undefined ? 'n/a' : height.toFixed(3));
+    content.select('.velocity').text(
+        geovelo.Map.formatVelocity(this.velocities[beacon.name]));
+    content.select('.offsets').text(geovelo.Map.formatOffsets(beacon));
+    content.select('.outliers').text(beacon.outliers || 0);
 
     this.infoWindow.open(this.map, marker);
   }.bind(this));
@@ -233,6 +306,61 @@ geovelo.Map.prototype.createMarker = function(beacon) {
   return marker;
 };
 
+/**
+ * Set the fitted velocities of the beacons, for display in the info window.
+ *
+ * @param {!Array} velocities Array of velocity objects (see
+ *     geovelo.data.fitVelocity) with name properties, or nulls for beacons
+ *     whose velocity couldn't be fitted.
+ */
+geovelo.Map.prototype.setVelocities = function(velocities) {
+  this.velocities = {};
+  for (var i = 0; i < velocities.length; i++) {
+    if (velocities[i]) {
+      this.velocities[velocities[i].name] = velocities[i];
+    }
+  }
+};
+
+/**
+ * Format a fitted velocity as east, north and up components with
+ * uncertainties. The up component is 'n/a' for beacons without heights.
+ *
+ * @param {Object} velocity Velocity object, see geovelo.data.fitVelocity.
+ * @return {string} The formatted velocity, or 'n/a' if there is none.
+ */
+geovelo.Map.formatVelocity = function(velocity) {
+  if (!velocity) {
+    return 'n/a';
+  }
+  return velocity.east.toFixed(2) + ' \u00b1 ' +
+      velocity.eastSigma.toFixed(2) + ', ' +
+      velocity.north.toFixed(2) + ' \u00b1 ' +
+      velocity.northSigma.toFixed(2) + ', ' +
+      ('up' in velocity ? velocity.up.toFixed(2) + ' \u00b1 ' +
+          velocity.upSigma.toFixed(2) : 'n/a');
+};
+
+/**
+ * Format the jumps found in a beacon's series, with the date and horizontal
+ * size of each.
+ *
+ * @param {!Object} beacon Data object representing a beacon.
+ * @return {string} The formatted jumps, or 'none'.
+ */
+geovelo.Map.formatOffsets = function(beacon) {
+  var steps = beacon.steps || [];
+  if (!steps.length) {
+    return 'none';
+  }
+  return steps.length + (beacon.corrected ? ' removed: ' : ' found: ') +
+      steps.map(function(step) {
+        var size = Math.sqrt(step.east * step.east + step.north * step.north);
+        return new Date(step.timestamp * 1000).toISOString().slice(0, 10) +
+            ' (' + size.toFixed(1) + ' mm)';
+      }).join(', ');
+};
+
 /**
  * Show or hide beacon markers by setting their visibility.
  *
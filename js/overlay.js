@@ -67,18 +67,16 @@ geovelo.Overlay = function(containerElement) {
   camera.position.set(0, 0, 100);
   camera.updateProjectionMatrix();
 
+  // Whether to render at the device pixel ratio, whether to antialias with
+  // MSAA, and how many times to supersample. The defaults are the cheapest.
+  var renderSettings = settings.render.options;
+  this.highDpi = renderSettings.highDpi.defaultValue;
+  this.antialias = renderSettings.antialias.defaultValue;
+  this.supersampling = renderSettings.supersampling.defaultValue;
+
   // Set up the THREE.js renderer.
-  var renderer = this.renderer = new THREE.WebGLRenderer({
-    alpha: true,
-    antialias: false
-  });
-  renderer.setPixelRatio(1);
-  renderer.setSize(width, height);
-  style = renderer.domElement.style;
-  style.pointerEvents = 'none';
-  style.position = 'absolute';
-  style.width = style.height = '100%';
-  this.domElement.appendChild(renderer.domElement);
+  this.renderer = null;
+  this.createRenderer(width, height);
 
   // Set up the scene into which we plan to draw the Geodetic Velocity lines.
   var scene = this.scene = new THREE.Scene();
@@ -99,8 +97,46 @@ geovelo.Overlay = function(containerElement) {
   }
 
   // Set up the custom line shader material to use for drawing lines.
-  this.material = new geovelo.LineShaderMaterial({
-    linewidth: settings.style.options.lineWidth.defaultValue
+  this.material = new geovelo.LineShaderMaterial();
+  this.material.setLineWidth(settings.style.options.lineWidth.defaultValue);
+  this.material.setResolution(width, height, this.renderer.getPixelRatio());
+
+  // Set up the material for drawing a dot at each beacon's current position,
+  // and whether to draw dots with fading tails rather than whole trajectories,
+  // see setDrawMode().
+  var styleSettings = settings.style.options;
+  this.dotMaterial = this.material.createDotMaterial();
+  this.material.setDotSize(styleSettings.dotSize.defaultValue);
+  this.drawMode = styleSettings.drawMode.defaultValue;
+  this.tailLength = styleSettings.tailLength.defaultValue;
+
+  // Velocity arrows, fitted per beacon over the selected time range and drawn
+  // as line segments over the beacon lines. See computeVelocities().
+  var velocitySettings = settings.velocity.options;
+  this.velocities = null;
+  this.arrows = null;
+  this.showVelocities = velocitySettings.show.defaultValue;
+  this.velocityScale = Math.pow(10, velocitySettings.scale.defaultValue);
+  this.arrowMaterial = new THREE.LineBasicMaterial({
+    color: velocitySettings.color.defaultValue
+  });
+
+  // Strain rate field over a triangulation of the beacons, computed from the
+  // velocities and drawn beneath the beacon lines. See drawStrain().
+  var strainSettings = settings.strain.options;
+  this.strain = null;
+  this.strainObject = null;
+  this.strainMode = strainSettings.mode.defaultValue;
+  this.strainRange = strainSettings.range.defaultValue;
+  this.strainMeshMaterial = new THREE.MeshBasicMaterial({
+    vertexColors: THREE.VertexColors,
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: strainSettings.opacity.defaultValue,
+    depthWrite: false
+  });
+  this.strainLineMaterial = new THREE.LineBasicMaterial({
+    vertexColors: THREE.VertexColors
   });
 
   // Time in ms to allow processing to hold the thread before ceding to the UI.
@@ -144,15 +180,16 @@ geovelo.Overlay.prototype.startAnimation = function() {
       start = now;
     }
 
-    var startTimestamp = this.material.uniforms.startTimestamp.value;
-    var endTimestamp = this.material.uniforms.endTimestamp.value;
-    var diff = endTimestamp - startTimestamp;
+    var startTime = this.material.uniforms.startTime.value;
+    var endTime = this.material.uniforms.endTime.value;
+    var diff = endTime - startTime;
 
-    // If there's any time between the start and end timestamps, set the
-    // end animation clamp and render the scene.
-    if (diff) {
+    // If there's any time between the start and end times, set the end
+    // animation clamp and render the scene.
+    if (diff && isFinite(diff)) {
       this.material.uniforms.endAnimationClamp.value =
-          startTimestamp + diff * (now - start) / this.animationDuration;
+          startTime + diff * (now - start) / this.animationDuration;
+      this.updateTail();
       this.render();
     }
 
@@ -176,6 +213,7 @@ geovelo.Overlay.prototype.startAnimation = function() {
 geovelo.Overlay.prototype.stopAnimation = function() {
   this.animating = false;
   this.material.uniforms.endAnimationClamp.value = Infinity;
+  this.updateTail();
   this.queueRender();
 };
 
@@ -211,6 +249,95 @@ geovelo.Overlay.prototype.hideStats = function() {
   }
 };
 
+/**
+ * Create the THREE.js renderer, replacing the previous one if any, since
+ * whether to antialias can only be chosen when creating a WebGL context.
+ *
+ * @param {number} width Width of the viewport in CSS pixels.
+ * @param {number} height Height of the viewport in CSS pixels.
+ */
+geovelo.Overlay.prototype.createRenderer = function(width, height) {
+  var renderer = new THREE.WebGLRenderer({
+    alpha: true,
+    antialias: this.antialias
+  });
+  var gl = renderer.getContext();
+  this.maxRenderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+  renderer.setPixelRatio(this.getPixelRatio(width, height));
+  renderer.setSize(width, height);
+  var style = renderer.domElement.style;
+  style.pointerEvents = 'none';
+  style.position = 'absolute';
+  style.width = style.height = '100%';
+  if (this.renderer) {
+    this.domElement.replaceChild(
+        renderer.domElement, this.renderer.domElement);
+    this.renderer.dispose();
+
+    // Release the old context now rather than whenever it's garbage collected,
+    // since browsers only allow a few at once.
+    if (this.renderer.extensions.get('WEBGL_lose_context')) {
+      this.renderer.forceContextLoss();
+    }
+  } else {
+    this.domElement.appendChild(renderer.domElement);
+  }
+  this.renderer = renderer;
+};
+
+/**
+ * Work out how many device pixels to render per CSS pixel in each direction.
+ *
+ * @param {number} width Width of the viewport in CSS pixels.
+ * @param {number} height Height of the viewport in CSS pixels.
+ * @return {number} The device pixel ratio if rendering at high DPI, or else
+ * 1, times the supersampling factor, but no more than keeps the drawing
+ * buffer within the device's MAX_RENDERBUFFER_SIZE.
+ */
+geovelo.Overlay.prototype.getPixelRatio = function(width, height) {
+  var pixelRatio =
+      (this.highDpi && window.devicePixelRatio || 1) * this.supersampling;
+  var maxRatio = this.maxRenderbufferSize / Math.max(width, height, 1);
+  return Math.min(pixelRatio, maxRatio);
+};
+
+/**
+ * Apply the current pixel ratio to the renderer and line material.
+ */
+geovelo.Overlay.prototype.updatePixelRatio = function() {
+  var size = this.renderer.getSize();
+  var pixelRatio = this.getPixelRatio(size.width, size.height);
+  this.renderer.setPixelRatio(pixelRatio);
+  this.material.setResolution(size.width, size.height, pixelRatio);
+  this.queueRender();
+};
+
+/**
+ * Set whether to render at the device pixel ratio.
+ */
+geovelo.Overlay.prototype.setHighDpi = function(highDpi) {
+  this.highDpi = highDpi;
+  this.updatePixelRatio();
+};
+
+/**
+ * Set whether to antialias with MSAA. This replaces the renderer.
+ */
+geovelo.Overlay.prototype.setAntialias = function(antialias) {
+  this.antialias = antialias;
+  var size = this.renderer.getSize();
+  this.createRenderer(size.width, size.height);
+  this.queueRender();
+};
+
+/**
+ * Set how many times the resolution to render at in each direction.
+ */
+geovelo.Overlay.prototype.setSupersampling = function(supersampling) {
+  this.supersampling = supersampling;
+  this.updatePixelRatio();
+};
+
 /**
  * Render the overlay into the canvas.
  */
@@ -267,7 +394,11 @@ geovelo.Overlay.prototype.setBounds = function(bounds) {
   this.domElement.style.right = (bounds.right - parent.right) + 'px';
 
   if (bounds.width && bounds.height) {
+    this.renderer.setPixelRatio(
+        this.getPixelRatio(bounds.width, bounds.height));
     this.renderer.setSize(bounds.width, bounds.height);
+    this.material.setResolution(
+        bounds.width, bounds.height, this.renderer.getPixelRatio());
   }
 
   this.render();
@@ -284,10 +415,47 @@ geovelo.Overlay.prototype.queueSetBounds = function(bounds) {
 };
 
 /**
- * New beacon data is available. Preprocess the data and reconstruct the scene.
- * @param {Array} rawBeacons An array of data for the beacons.
+ * New beacon data is available. Reconstruct the scene from the prepared
+ * dataset. The heavy preparation (gap filling, extent analysis and medians) has
+ * already been done by the data worker, see geovelo.DataWorker.prepare().
+ *
+ * @param {!Object} dataset The prepared dataset.
  */
-geovelo.Overlay.prototype.setData = function(rawBeacons) {
+geovelo.Overlay.prototype.setData = function(dataset) {
+
+  // Refuse data whose BeaconVertexTexture this device couldn't hold, keeping
+  // any previous data. The data worker caps the time steps, but a device's
+  // limit may be lower.
+  var regional = dataset.beacons.some(function(beacon) {
+    return beacon.commonMode;
+  });
+  var heights = dataset.beacons.some(function(beacon) {
+    return beacon.height;
+  });
+  var size = geovelo.BeaconVertexTexture.computeSize(
+      dataset.beacons.length, dataset.startTimestamp, dataset.endTimestamp,
+      dataset.step, regional, heights);
+  var maxTextureSize = this.renderer.capabilities.maxTextureSize;
+  if (size.width > maxTextureSize || size.height > maxTextureSize) {
+    this.emitStatusUpdate('ERROR: Too many ' +
+        (size.width > maxTextureSize ? 'time steps' : 'beacons') +
+        ' for this device. Choose a longer time step or fewer files.', 0);
+    return;
+  }
+
+  // Stop processing and remove the line and arrows of any previous data.
+  clearTimeout(this.processTimer);
+  if (this.processState) {
+    this.scene.remove(this.processState.line);
+    this.scene.remove(this.processState.dots);
+    this.processState.geometry.dispose();
+    this.processState.dotGeometry.dispose();
+    this.processState.texture.dispose();
+  }
+  this.velocities = null;
+  this.drawVelocities();
+  this.strain = null;
+  this.drawStrain();
 
   /**
    * This object keeps track of how the data processing is going.
@@ -295,18 +463,47 @@ geovelo.Overlay.prototype.setData = function(rawBeacons) {
   this.processState = {
 
     // Total number of vertices that we'll have.
-    totalVertexCount: 0,
+    totalVertexCount: dataset.vertexCount,
+
+    // Earliest and latest timestamps of the data.
+    startTimestamp: dataset.startTimestamp,
+    endTimestamp: dataset.endTimestamp,
+
+    // Seconds between time steps.
+    timeStep: dataset.step,
 
     // Raw beacon data.
-    rawBeacons: rawBeacons,
+    rawBeacons: dataset.beacons,
+
+    // Cumulative median lon/lat offsets for each time step.
+    medians: dataset.medians,
+
+    // Whether beacons have their own regional corrections instead.
+    regional: regional,
+
+    // Whether any beacons have heights.
+    heights: heights,
 
     // Processed beacon data.
-    processedBeacons: []
+    processedBeacons: [],
+
+    // Whether processing has finished.
+    ready: false
 
   };
 
-  // Begin processing the data by determining the total vertex count.
-  this.analyzeData(true);
+  // Announce timestamp extent for controls.
+  this.domElement.dispatchEvent(new CustomEvent('extent-changed', {
+        bubbles: true,
+        detail: {
+          extentStart: new Date(dataset.startTimestamp * 1000),
+          extentEnd: new Date(dataset.endTimestamp * 1000),
+          step: dataset.step
+        }
+      }));
+
+  // Set up the buffers, geometries and lines for further processing.
+  this.setupBuffers();
 
 };
 
@@ -326,63 +523,6 @@ geovelo.Overlay.prototype.emitStatusUpdate = function(status, progress) {
       }));
 };
 
-/**
- * Count the total number of vertices that we'll end up with in the final line,
- * and also find out the minimum and maximum timestamps.
- *
- * @param {boolean} init Set to true to initialize state (first call).
- */
-geovelo.Overlay.prototype.analyzeData = function(init) {
-
-  var state = this.processState;
-
-  if (init) {
-    state.beaconIndex = 0;
-    state.startTimestamp = Infinity;
-    state.endTimestamp = -Infinity;
-  }
-
-  var rawBeacons = state.rawBeacons;
-
-  var start = Date.now();
-  while (state.beaconIndex < rawBeacons.length) {
-    var beacon = rawBeacons[state.beaconIndex];
-
-    // To save on the number of objects vertices that we have to render, we
-    // construct one big geometry rather than thousands of smaller ones. So we
-    // cram all of the beacons' lines into one big vertex array, adding in
-    // separator vertices to break the line. Line segments that involve these
-    // separator vertices are discarded in the shader.
-    state.totalVertexCount += beacon.lon.length + 2;
-
-    state.startTimestamp = Math.min(state.startTimestamp, beacon.start);
-    state.endTimestamp = Math.max(state.endTimestamp,
-        beacon.start + beacon.lon.length * 60 * 60 * 24);
-
-    state.beaconIndex++;
-
-    if (Date.now() - start >= this.maxProcessingTime) {
-      // Announce progress, then cede to the UI thread.
-      this.emitStatusUpdate('analyzing data...',
-          state.beaconIndex / rawBeacons.length);
-      return setTimeout(
-          this.analyzeData.bind(this), this.resumeProcessingDelay);
-    }
-  }
-
-  // Announce timestamp extent for controls.
-  this.domElement.dispatchEvent(new CustomEvent('extent-changed', {
-        bubbles: true,
-        detail: {
-          extentStart: new Date(state.startTimestamp * 1000),
-          extentEnd: new Date(state.endTimestamp * 1000)
-        }
-      }));
-
-  // Set up the buffers, geometries and lines for further processing.
-  this.setupBuffers();
-};
-
 /**
  * Since the total vertex count is now known, set up buffers to hold vertex
  * data and begin processing vertex data.
@@ -393,28 +533,73 @@ geovelo.Overlay.prototype.setupBuffers = function() {
 
   // Create typed array to hold each vertex's relevant attributes:
   //  - x - the beacon index,
-  //  - y - the beacon's start timestamp,
-  //  - z - the current timestamp.
+  //  - y - the time index of the beacon's start,
+  //  - z - the current time index.
   // These are used by the LineShaderMaterial's vertex shader to compute
   // final positions based on values retrieved from the BeaconVertexTexture.
   state.positions = new Float32Array(state.totalVertexCount * 3);
 
+  // Vertical velocity of each vertex's beacon in mm/yr, for coloring. Filled
+  // in once velocities have been fitted, see computeVelocities().
+  state.verticalVelocities = new Float32Array(state.totalVertexCount);
+
+  // Completeness of each vertex's beacon, for coloring, see processData().
+  state.completeness = new Float32Array(state.totalVertexCount);
+
   // The beacon vertext texture holds all the data about each beacon at each
   // timestamp that the shader needs.
   // @see geovelo.BeaconVertexTexture.
   var texture = state.texture = new geovelo.BeaconVertexTexture(
-      state.rawBeacons.length, state.startTimestamp, state.endTimestamp);
+      state.rawBeacons.length, state.startTimestamp, state.endTimestamp,
+      state.timeStep, state.regional, state.heights);
   this.material.setBeaconVertexTexture(texture);
 
   // Create a geometry and line for the scene. At this point we can safely begin
   // rendereing, even though the actual values haven't been filled in yet.
-  var geometry = state.geometry = new THREE.BufferGeometry();
+  // Each instance is the segment between a vertex and the next, drawn with the
+  // segment template, see geovelo.LineShaderMaterial.
+  var geometry = state.geometry = new THREE.InstancedBufferGeometry();
+  var template = geovelo.LineShaderMaterial.createSegmentTemplate();
+  geometry.setIndex(new THREE.BufferAttribute(template.indices, 1));
   geometry.addAttribute('position',
-      new THREE.BufferAttribute(state.positions, 3));
-  var line = state.line = new THREE.Line(geometry, this.material);
+      new THREE.BufferAttribute(template.positions, 3));
+  var vertices = state.vertices =
+      new THREE.InstancedInterleavedBuffer(state.positions, 3);
+  geometry.addAttribute('segmentStart',
+      new THREE.InterleavedBufferAttribute(vertices, 3, 0));
+  geometry.addAttribute('segmentEnd',
+      new THREE.InterleavedBufferAttribute(vertices, 3, 3));
+  geometry.addAttribute('verticalVelocity',
+      new THREE.InstancedBufferAttribute(state.verticalVelocities, 1));
+  geometry.addAttribute('completeness',
+      new THREE.InstancedBufferAttribute(state.completeness, 1));
+  geometry.maxInstancedCount = 0;
+  var line = state.line = new THREE.Mesh(geometry, this.material);
   line.frustumCulled = false;
+  line.visible = false;
   this.scene.add(line);
 
+  // Create a geometry and points for the beacons' dots, with one vertex for
+  // each beacon: the beacon index, and the time indices of the beacon's first
+  // and last readings. Drawn over the lines, see setDrawMode().
+  var beaconCount = state.rawBeacons.length;
+  state.dotPositions = new Float32Array(beaconCount * 3);
+  state.dotVerticalVelocities = new Float32Array(beaconCount);
+  state.dotCompleteness = new Float32Array(beaconCount);
+  var dotGeometry = state.dotGeometry = new THREE.BufferGeometry();
+  dotGeometry.addAttribute('position',
+      new THREE.BufferAttribute(state.dotPositions, 3));
+  dotGeometry.addAttribute('verticalVelocity',
+      new THREE.BufferAttribute(state.dotVerticalVelocities, 1));
+  dotGeometry.addAttribute('completeness',
+      new THREE.BufferAttribute(state.dotCompleteness, 1));
+  dotGeometry.setDrawRange(0, 0);
+  var dots = state.dots = new THREE.Points(dotGeometry, this.dotMaterial);
+  dots.frustumCulled = false;
+  dots.renderOrder = 1;
+  this.scene.add(dots);
+  this.updateTail();
+
   // Begin processing beacon data.
   this.processData(true);
 };
@@ -446,17 +631,31 @@ geovelo.Overlay.prototype.processData = function(init) {
     // This object keeps track of the processing of an individual beacon.
     var beaconState = state.beaconState;
     if (!beaconState) {
+      var first = geovelo.Overlay.getFirstReading(beacon);
       beaconState = state.beaconState = {
 
         // The name of this beacon.
         name: beacon.name,
 
-        // The beacon's base X and Y position in Web Mercator projected coords.
-        baseX: getX(beacon.lon[0]),
-        baseY: getY(beacon.lat[0]),
+        // The beacon's base X and Y position in Web Mercator projected coords,
+        // from its first reading.
+        baseX: getX(beacon.lon[first]),
+        baseY: getY(beacon.lat[first]),
+
+        // The time index of the beacon's first reading.
+        startIndex: state.texture.getTimeIndex(beacon.start),
+
+        // The beacon's first height, from which height changes are measured.
+        baseHeight: beacon.height ? geovelo.Overlay.getBaseHeight(beacon) : 0,
+
+        // Fraction of the beacon's time steps with a reading of its own.
+        completeness: geovelo.Overlay.getCompleteness(beacon),
 
         // The index within the beacon's lon/lat arrays to look at next.
-        lonLatIndex: 0
+        lonLatIndex: 0,
+
+        // Whether the line is broken across a gap at the current index.
+        inGap: false
 
       };
 
@@ -469,39 +668,45 @@ geovelo.Overlay.prototype.processData = function(init) {
       var lon = beacon.lon[beaconState.lonLatIndex];
       var lat = beacon.lat[beaconState.lonLatIndex];
 
+      if (beaconState.lonLatIndex === 0) {
+        // Insert a separator vertex since we're beginning a beacon.
+        this.addVertex(state.beaconIndex, beaconState.startIndex, -Infinity);
+      }
+
       if (lon && lat) {
 
         var x = getX(lon) - beaconState.baseX;
         var y = getY(lat) - beaconState.baseY;
-        var timestamp = beacon.start + beaconState.lonLatIndex * 60 * 60 * 24;
+        var timestamp =
+            beacon.start + beaconState.lonLatIndex * state.timeStep;
+        var timeIndex = beaconState.startIndex + beaconState.lonLatIndex;
 
-        // Poke the x and y values into the texture.
+        // Poke the x and y values into the texture, and the height change.
         state.texture.setBeaconLonLat(state.beaconIndex, timestamp, x, y);
-
-        if (beaconState.lonLatIndex === 0) {
-          // Insert a separator vertex since we're beginning a beacon.
-          state.positions[state.positionIndex * 3 + 0] = state.beaconIndex;
-          state.positions[state.positionIndex * 3 + 1] = beacon.start;
-          state.positions[state.positionIndex * 3 + 2] = -Infinity;
-          state.positionIndex++;
+        var height = beacon.height && beacon.height[beaconState.lonLatIndex];
+        if (height) {
+          state.texture.setBeaconHeight(state.beaconIndex, timestamp,
+              (height - beaconState.baseHeight) * 1000);
         }
 
-        // Insert a vertex for this beacon and timestamp.
-        state.positions[state.positionIndex * 3 + 0] = state.beaconIndex;
-        state.positions[state.positionIndex * 3 + 1] = beacon.start;
-        state.positions[state.positionIndex * 3 + 2] = timestamp;
-        state.positionIndex++;
-
-        if (beaconState.lonLatIndex === beacon.lon.length - 1) {
-          // Insert a separator vertex since we're at the end of a beacon.
-          state.positions[state.positionIndex * 3 + 0] = state.beaconIndex;
-          state.positions[state.positionIndex * 3 + 1] = beacon.start;
-          state.positions[state.positionIndex * 3 + 2] = Infinity;
-          state.positionIndex++;
+        if (beacon.breaks && beacon.breaks[beaconState.lonLatIndex]) {
+          // Break the line across this gap, with one separator vertex.
+          if (!beaconState.inGap) {
+            this.addVertex(
+                state.beaconIndex, beaconState.startIndex, Infinity);
+            beaconState.inGap = true;
+          }
+        } else {
+          // Insert a vertex for this beacon and time index.
+          this.addVertex(state.beaconIndex, beaconState.startIndex, timeIndex);
+          beaconState.inGap = false;
         }
 
-        state.geometry.attributes.position.needsUpdate = true;
+      }
 
+      if (beaconState.lonLatIndex === beacon.lon.length - 1) {
+        // Insert a separator vertex since we're at the end of a beacon.
+        this.addVertex(state.beaconIndex, beaconState.startIndex, Infinity);
       }
 
       beaconState.lonLatIndex++;
@@ -510,11 +715,21 @@ geovelo.Overlay.prototype.processData = function(init) {
         // Announce progress, then cede to the UI thread.
         this.emitStatusUpdate('adding beacon lines...',
             state.beaconIndex / rawBeacons.length);
-        return setTimeout(
+        this.processTimer = setTimeout(
             this.processData.bind(this), this.resumeProcessingDelay);
+        return;
       }
     }
 
+    // Add the beacon's dot, spanning its time steps.
+    var beaconIndex = state.beaconIndex;
+    state.dotPositions.set([beaconIndex, beaconState.startIndex,
+        beaconState.startIndex + beacon.lon.length - 1], beaconIndex * 3);
+    state.dotCompleteness[beaconIndex] = beaconState.completeness;
+    state.dotGeometry.setDrawRange(0, beaconIndex + 1);
+    state.dotGeometry.attributes.position.needsUpdate = true;
+    state.dotGeometry.attributes.completeness.needsUpdate = true;
+
     // Finished with this beacon! Save off the beacon state object for further
     // processing.
     state.processedBeacons[state.beaconIndex] = beaconState;
@@ -530,139 +745,446 @@ geovelo.Overlay.prototype.processData = function(init) {
 
   this.beacons = state.processedBeacons;
 
-  // Compute medians for correction.
-  this.computeMedians(true);
+  // Set medians for correction.
+  this.setMedians();
 
 };
 
 /**
- * Compute and update the cumulative median offset lon/lat values.
+ * Append a vertex to the line being built by processData(), and extend the
+ * geometry's instance count to draw the segment ending at it. Separator
+ * vertices, which break the line, have a time index of plus or minus Infinity
+ * so that they're never visible.
  *
- * @param {boolean} init Set to true to initialize processing (first call).
+ * @param {number} beaconIndex Index of the beacon.
+ * @param {number} startIndex Time index of the beacon's first reading.
+ * @param {number} timeIndex Time index of the vertex.
  */
-geovelo.Overlay.prototype.computeMedians = function(init) {
+geovelo.Overlay.prototype.addVertex =
+    function(beaconIndex, startIndex, timeIndex) {
+  var state = this.processState;
+  state.positions[state.positionIndex * 3 + 0] = beaconIndex;
+  state.positions[state.positionIndex * 3 + 1] = startIndex;
+  state.positions[state.positionIndex * 3 + 2] = timeIndex;
+  state.completeness[state.positionIndex] = state.beaconState.completeness;
+  state.positionIndex++;
+  // THREE.js draws an uninstanced template when there are no instances.
+  state.geometry.maxInstancedCount = state.positionIndex - 1;
+  state.line.visible = state.positionIndex > 1;
+  state.vertices.needsUpdate = true;
+  state.geometry.attributes.completeness.needsUpdate = true;
+};
 
-  var SECONDS_PER_DAY = 60 * 60 * 24;
-  var getX = geovelo.WebMercator.getX;
-  var getY = geovelo.WebMercator.getY;
+/**
+ * Find the index of a beacon's first reading, skipping missing (0) positions.
+ *
+ * @param {!Object} beacon Data object representing a beacon.
+ * @return {number} The index, or 0 if there are no readings.
+ */
+geovelo.Overlay.getFirstReading = function(beacon) {
+  for (var i = 0; i < beacon.lon.length; i++) {
+    if (beacon.lon[i] && beacon.lat[i]) {
+      return i;
+    }
+  }
+  return 0;
+};
 
-  var state = this.processState;
+/**
+ * Find a beacon's first height, skipping missing (0) heights.
+ *
+ * @param {!Object} beacon Data object representing a beacon, with heights.
+ * @return {number} The first height in meters, or 0 if there are none.
+ */
+geovelo.Overlay.getBaseHeight = function(beacon) {
+  for (var i = 0; i < beacon.height.length; i++) {
+    if (beacon.height[i]) {
+      return beacon.height[i];
+    }
+  }
+  return 0;
+};
 
-  if (init) {
-    state.currentTimestamp = state.startTimestamp;
-    state.medianLons = [];
-    state.medianLats = [];
+/**
+ * Compute the fraction of a beacon's time steps with a reading of its own,
+ * rather than one filled in (see geovelo.DataWorker.prepare()).
+ *
+ * @param {!Object} beacon Data object representing a beacon.
+ * @return {number} The completeness, from 0 to 1.
+ */
+geovelo.Overlay.getCompleteness = function(beacon) {
+  var count = 0;
+  for (var i = 0; i < beacon.lon.length; i++) {
+    if (beacon.observed ? beacon.observed[i] :
+        beacon.lon[i] && beacon.lat[i]) {
+      count++;
+    }
   }
+  return beacon.lon.length ? count / beacon.lon.length : 0;
+};
 
-  var start = Date.now();
-  while (state.currentTimestamp <= state.endTimestamp) {
+/**
+ * Copy the cumulative median offset lon/lat values computed by the data worker
+ * into the texture, and each beacon's regional corrections, if any.
+ */
+geovelo.Overlay.prototype.setMedians = function() {
+  var state = this.processState;
+  var medians = state.medians;
+  for (var i = 0; i < medians.lon.length; i++) {
+    state.texture.setMedianLonLat(state.startTimestamp + i * state.timeStep,
+        medians.lon[i], medians.lat[i]);
+  }
+  if (state.regional) {
+    state.rawBeacons.forEach(function(beacon, beaconIndex) {
+      var commonMode = beacon.commonMode;
+      for (var i = 0; i < commonMode.lon.length; i++) {
+        state.texture.setCorrectionLonLat(beaconIndex,
+            beacon.start + i * state.timeStep,
+            commonMode.lon[i], commonMode.lat[i]);
+      }
+    });
+  }
+  this.queueRender();
+  state.ready = true;
+  this.emitStatusUpdate('ready', 1);
 
-    // Lists of all of the longitudinal and latitudinal deltas for all beacons
-    // that have data for this timestamp. These will be sorted to pick out the
-    // median, and then that will be added to the previous cumulative median to
-    // get the new cumulative median.
-    var deltaLons = [];
-    var deltaLats = [];
+  // Now that the data is ready, fit velocities.
+  this.computeVelocities();
+};
 
-    for (var j = 0; j < state.rawBeacons.length; j++) {
+/**
+ * Fit each beacon's velocity over the selected time range (see
+ * geovelo.data.fitVelocity), announce the velocities with a custom
+ * 'velocities-changed' event, redraw the arrows and update the vertical
+ * velocities used for coloring.
+ */
+geovelo.Overlay.prototype.computeVelocities = function() {
+  var state = this.processState;
+  if (!state || !state.ready) {
+    return;
+  }
+  var startTimestamp = this.material.startTimestamp;
+  var endTimestamp = this.material.endTimestamp;
+  this.velocities = state.rawBeacons.map(function(beacon) {
+    var velocity = geovelo.data.fitVelocity(
+        beacon, state.timeStep, startTimestamp, endTimestamp);
+    if (velocity) {
+      velocity.name = beacon.name;
+    }
+    return velocity;
+  });
 
-      var beacon = state.rawBeacons[j];
+  this.domElement.dispatchEvent(new CustomEvent('velocities-changed', {
+        bubbles: true,
+        detail: {
+          velocities: this.velocities
+        }
+      }));
 
-      // Skip this beacon if the current timestamp is either before its first
-      // reading or after its last.
-      if (state.currentTimestamp < beacon.start) {
-        continue;
-      }
-      var endTimestamp = beacon.start + SECONDS_PER_DAY * beacon.lon.length;
-      if (state.currentTimestamp > endTimestamp) {
-        continue;
-      }
+  this.drawVelocities();
+  this.setVerticalVelocities();
+  this.strain = null;
+  this.drawStrain();
+};
 
-      // Look up the lon and lat values for this beacon.
-      var index = Math.round(
-          (state.currentTimestamp - beacon.start) / SECONDS_PER_DAY);
-      var lon = beacon.lon[index];
-      var lat = beacon.lat[index];
+/**
+ * Copy each beacon's fitted vertical velocity into the vertical velocity
+ * attribute of each of its segments and of its dot, or 0 if it has none.
+ */
+geovelo.Overlay.prototype.setVerticalVelocities = function() {
+  var state = this.processState;
+  var velocities = this.velocities;
+  for (var i = 0; i < state.positionIndex; i++) {
+    var velocity = velocities[state.positions[i * 3]];
+    state.verticalVelocities[i] = velocity && velocity.up || 0;
+  }
+  velocities.forEach(function(velocity, beaconIndex) {
+    state.dotVerticalVelocities[beaconIndex] = velocity && velocity.up || 0;
+  });
+  state.geometry.attributes.verticalVelocity.needsUpdate = true;
+  state.dotGeometry.attributes.verticalVelocity.needsUpdate = true;
+  this.queueRender();
+};
 
-      if (lon && lat) {
-        // Data's not missing, add to arrays.
-        var prevLon = state.texture.getLon
-        var beaconState = state.processedBeacons[j];
-
-        // Look up the previous lon and lat values, may have to slide backwards
-        // over missing data.
-        var prevLon = 0;
-        var prevLat = 0;
-        var prevIndex = index - 1;
-        while (prevIndex >= 0 && (!prevLon || !prevLat)) {
-          prevLon = beacon.lon[prevIndex];
-          prevLat = beacon.lat[prevIndex];
-          prevIndex--;
-        }
+/**
+ * Queue up a future call to computeVelocities() to debounce frequent updates,
+ * such as while dragging the time range.
+ */
+geovelo.Overlay.prototype.queueComputeVelocities = function() {
+  clearTimeout(this.computeVelocitiesTimer);
+  this.computeVelocitiesTimer = setTimeout(
+      this.computeVelocities.bind(this), this.debounceTimeout);
+};
 
-        if (!prevLon || !prevLat) {
-          // Couldn't find a previous lon/lat to diff against.
-          continue;
-        }
+/**
+ * Replace the velocity arrows with new ones from the current velocities, if
+ * they're to be shown. Each arrow starts at its beacon's base position and
+ * shows one year of movement at the velocity scale, in Web Mercator projected
+ * coordinates, with two line segments for the head.
+ */
+geovelo.Overlay.prototype.drawVelocities = function() {
+  if (this.arrows) {
+    this.scene.remove(this.arrows);
+    this.arrows.geometry.dispose();
+    this.arrows = null;
+  }
 
-        // Add each delta to the appropriate list.
-        deltaLons.push(getX(lon) - getX(prevLon));
-        deltaLats.push(getY(lat) - getY(prevLat));
-      }
+  var velocities = this.velocities;
+  if (!this.showVelocities || !velocities) {
+    this.queueRender();
+    return;
+  }
 
+  var getX = geovelo.WebMercator.getX;
+  var unitsPerDegree = getX(1) - getX(0);
+  var headLength = 0.25;
+  var headAngle = Math.PI / 8;
+
+  // Three segments per arrow, two vertices per segment.
+  var positions = new Float32Array(velocities.length * 6 * 3);
+  var index = 0;
+  var push = function(x, y) {
+    positions[index++] = x;
+    positions[index++] = y;
+    positions[index++] = 1;
+  };
+
+  for (var i = 0; i < velocities.length; i++) {
+    var velocity = velocities[i];
+    var beacon = this.processState.processedBeacons[i];
+    if (!velocity || !beacon) {
+      continue;
     }
+    var dx = velocity.lonRate * unitsPerDegree * this.velocityScale;
+    var dy = velocity.latRate * unitsPerDegree * this.velocityScale /
+        Math.cos(velocity.lat * Math.PI / 180);
+    var tipX = beacon.baseX + dx;
+    var tipY = beacon.baseY + dy;
+    push(beacon.baseX, beacon.baseY);
+    push(tipX, tipY);
+
+    // The head's segments point back from the tip on either side of the shaft.
+    var angle = Math.atan2(dy, dx);
+    var length = headLength * Math.sqrt(dx * dx + dy * dy);
+    [-headAngle, headAngle].forEach(function(offset) {
+      push(tipX, tipY);
+      push(tipX - length * Math.cos(angle + offset),
+          tipY - length * Math.sin(angle + offset));
+    });
+  }
+
+  var geometry = new THREE.BufferGeometry();
+  geometry.addAttribute('position',
+      new THREE.BufferAttribute(positions.subarray(0, index), 3));
+  this.arrows = new THREE.LineSegments(geometry, this.arrowMaterial);
+  this.arrows.frustumCulled = false;
+  this.scene.add(this.arrows);
+  this.queueRender();
+};
 
-    // Add current medians to cumulative medians and set in texture.
-    var cumulativeMedianLon =
-        (d3.median(deltaLons) || 0.0) +
-        (state.medianLons[state.medianLons.length - 1] || 0);
-    var cumulativeMedianLat =
-        (d3.median(deltaLats) || 0.0) +
-        (state.medianLats[state.medianLats.length - 1] || 0);
-    state.medianLons.push(cumulativeMedianLon);
-    state.medianLats.push(cumulativeMedianLat);
-    state.texture.setMedianLonLat(
-        state.currentTimestamp, cumulativeMedianLon, cumulativeMedianLat);
+/**
+ * Colors of the strain rate layer: extension and contraction at either end of
+ * a diverging palette, and shear at the end of a sequential one, all starting
+ * from neutral.
+ */
+geovelo.Overlay.STRAIN_COLORS = {
+  contraction: '#2166ac',
+  neutral: '#f7f7f7',
+  extension: '#b2182b',
+  shear: '#762a83'
+};
 
-    state.currentTimestamp += SECONDS_PER_DAY;
+/**
+ * Replace the strain rate layer with a new one for the current velocities, if
+ * it's to be shown, computing the strain rate field first if need be (see
+ * geovelo.data.computeStrainField). Depending on the strain mode, each
+ * triangle of beacons is either colored by its dilatation or maximum shear,
+ * or marked with a cross along its principal axes, whose arms reach the edge
+ * of the triangle at the strain range. The layer is drawn at a z of -0.5,
+ * beneath the beacon lines.
+ */
+geovelo.Overlay.prototype.drawStrain = function() {
+  if (this.strainObject) {
+    this.scene.remove(this.strainObject);
+    this.strainObject.geometry.dispose();
+    this.strainObject = null;
+  }
 
+  var velocities = this.velocities;
+  var beacons = this.processState && this.processState.processedBeacons;
+  if (this.strainMode === 'off' || !velocities || !beacons) {
     this.queueRender();
+    return;
+  }
+  if (!this.strain) {
+    this.strain = geovelo.data.computeStrainField(velocities);
+  }
+
+  var palette = geovelo.Overlay.STRAIN_COLORS;
+  var range = this.strainRange;
+  var getColor = function(value, positive, negative) {
+    var t = Math.max(-1, Math.min(1, value / range));
+    var color = d3.rgb(d3.interpolateRgb(palette.neutral,
+        t < 0 ? negative : positive)(Math.abs(t)));
+    return [color.r / 255, color.g / 255, color.b / 255];
+  };
 
-    if (Date.now() - start >= this.maxProcessingTime) {
-      // Announce progress, then cede to the UI thread.
-      this.emitStatusUpdate('computing medians...',
-          (state.currentTimestamp - state.startTimestamp) /
-          (state.endTimestamp - state.startTimestamp));
-      return setTimeout(
-          this.computeMedians.bind(this), this.resumeProcessingDelay);
+  var mode = this.strainMode;
+  var axes = mode === 'axes';
+  var positions = [];
+  var colors = [];
+  var push = function(x, y, color) {
+    positions.push(x, y, -0.5);
+    colors.push(color[0], color[1], color[2]);
+  };
+
+  this.strain.forEach(function(strain) {
+    var corners = strain.indices.map(function(i) {
+      return beacons[i];
+    });
+    if (!axes) {
+      var color = mode === 'dilatation' ?
+          getColor(strain.dilatation, palette.extension, palette.contraction) :
+          getColor(strain.shear, palette.shear, palette.shear);
+      corners.forEach(function(corner) {
+        push(corner.baseX, corner.baseY, color);
+      });
+      return;
     }
-  }
 
-  this.emitStatusUpdate('ready', 1);
+    // Center the cross on the centroid, sized to the triangle.
+    var x = (corners[0].baseX + corners[1].baseX + corners[2].baseX) / 3;
+    var y = (corners[0].baseY + corners[1].baseY + corners[2].baseY) / 3;
+    var area = Math.abs(
+        (corners[1].baseX - corners[0].baseX) *
+        (corners[2].baseY - corners[0].baseY) -
+        (corners[2].baseX - corners[0].baseX) *
+        (corners[1].baseY - corners[0].baseY)) / 2;
+    var size = Math.sqrt(area) / 2;
+    var azimuth = strain.azimuth * Math.PI / 180;
+    [[strain.e1, azimuth], [strain.e2, azimuth + Math.PI / 2]]
+        .forEach(function(axis) {
+          var length = size * Math.min(1, Math.abs(axis[0]) / range);
+          var dx = length * Math.sin(axis[1]);
+          var dy = length * Math.cos(axis[1]);
+          var color = getColor(axis[0] < 0 ? -range : range,
+              palette.extension, palette.contraction);
+          push(x - dx, y - dy, color);
+          push(x + dx, y + dy, color);
+        });
+  });
 
+  var geometry = new THREE.BufferGeometry();
+  geometry.addAttribute('position',
+      new THREE.BufferAttribute(new Float32Array(positions), 3));
+  geometry.addAttribute('color',
+      new THREE.BufferAttribute(new Float32Array(colors), 3));
+  this.strainObject = axes ?
+      new THREE.LineSegments(geometry, this.strainLineMaterial) :
+      new THREE.Mesh(geometry, this.strainMeshMaterial);
+  this.strainObject.frustumCulled = false;
+  this.scene.add(this.strainObject);
+  this.queueRender();
 };
 
 /**
- * Set the color to use for the start of the range.
+ * Set how to show the strain rate field: 'off', 'dilatation', 'shear' or
+ * 'axes'.
+ */
+geovelo.Overlay.prototype.setStrainMode = function(mode) {
+  this.strainMode = mode;
+  this.drawStrain();
+};
+
+/**
+ * Set the strain rate in nanostrain/yr which gets the full color, or the
+ * longest cross.
+ */
+geovelo.Overlay.prototype.setStrainRange = function(range) {
+  this.strainRange = range;
+  this.drawStrain();
+};
+
+/**
+ * Set the opacity of the strain rate triangles.
+ */
+geovelo.Overlay.prototype.setStrainOpacity = function(opacity) {
+  this.strainMeshMaterial.opacity = opacity;
+  this.queueRender();
+};
+
+/**
+ * Set whether to show velocity arrows.
+ *
+ * @param {boolean} show Whether to show (true) or hide (false) the arrows.
+ */
+geovelo.Overlay.prototype.setShowVelocities = function(show) {
+  this.showVelocities = !!show;
+  this.drawVelocities();
+};
+
+/**
+ * Set the velocity arrow scale from the provided power of 10.
  *
- * @param {string} startColor The color to set for the start of the range.
+ * @param {number} scale Power of 10 by which to multiply one year of movement.
  */
-geovelo.Overlay.prototype.setStartColor = function(startColor) {
-  var color = d3.rgb(startColor);
-  this.material.uniforms.startColor.value
-      .set(color.r / 255, color.g / 255, color.b / 255, 1);
+geovelo.Overlay.prototype.setVelocityScale = function(scale) {
+  this.velocityScale = Math.pow(10, scale);
+  this.drawVelocities();
+};
+
+/**
+ * Set the color of the velocity arrows.
+ *
+ * @param {string} color The color to use for arrows.
+ */
+geovelo.Overlay.prototype.setVelocityColor = function(color) {
+  this.arrowMaterial.color.setStyle(color);
   this.queueRender();
 };
 
 /**
- * Set the color to use for the end of the range.
+ * Set the palette to color the lines by time, from the start of the range to
+ * the end.
  *
- * @param {string} endColor The color to set for the end of the range.
+ * @param {!Array<string>} colors Two or more color stops.
+ */
+geovelo.Overlay.prototype.setTimeColors = function(colors) {
+  this.material.setTimeColors(colors);
+  this.queueRender();
+};
+
+/**
+ * Set how to color the lines, see geovelo.LineShaderMaterial.COLOR_MODES.
+ *
+ * @param {string} colorMode The name of the color mode.
+ */
+geovelo.Overlay.prototype.setColorMode = function(colorMode) {
+  this.material.setColorMode(colorMode);
+  this.queueRender();
+};
+
+/**
+ * Set the vertical velocity in mm/yr which gets the full up or down color.
  */
-geovelo.Overlay.prototype.setEndColor = function(endColor) {
-  var color = d3.rgb(endColor);
-  this.material.uniforms.endColor.value
-      .set(color.r / 255, color.g / 255, color.b / 255, 1);
+geovelo.Overlay.prototype.setVerticalRange = function(verticalRange) {
+  this.material.setVerticalRange(verticalRange);
+  this.queueRender();
+};
+
+/**
+ * Set the height change in mm which gets the full up or down color.
+ */
+geovelo.Overlay.prototype.setHeightRange = function(heightRange) {
+  this.material.setHeightRange(heightRange);
+  this.queueRender();
+};
+
+/**
+ * Set the speed in mm/yr which gets the high color.
+ */
+geovelo.Overlay.prototype.setSpeedRange = function(speedRange) {
+  this.material.setSpeedRange(speedRange);
   this.queueRender();
 };
 
@@ -670,10 +1192,67 @@ geovelo.Overlay.prototype.setEndColor = function(endColor) {
  * Set the line width.
  */
 geovelo.Overlay.prototype.setLineWidth = function(lineWidth) {
-  this.material.linewidth = lineWidth;
+  this.material.setLineWidth(lineWidth);
+  this.queueRender();
+};
+
+/**
+ * Set whether to draw each beacon's whole trajectory ('lines'), or a dot at its
+ * current position with a fading tail behind it ('dots'). The current position
+ * is at the end timestamp, or while animating, at the animation's time.
+ *
+ * @param {string} drawMode The draw mode, 'lines' or 'dots'.
+ */
+geovelo.Overlay.prototype.setDrawMode = function(drawMode) {
+  if (drawMode !== 'lines' && drawMode !== 'dots') {
+    throw Error('Unknown draw mode: ' + drawMode);
+  }
+  this.drawMode = drawMode;
+  this.updateTail();
   this.queueRender();
 };
 
+/**
+ * Set the length of the dots' tails.
+ *
+ * @param {number} tailLength The length in days.
+ */
+geovelo.Overlay.prototype.setTailLength = function(tailLength) {
+  this.tailLength = tailLength;
+  this.updateTail();
+  this.queueRender();
+};
+
+/**
+ * Set the diameter of the dots in pixels.
+ */
+geovelo.Overlay.prototype.setDotSize = function(dotSize) {
+  this.material.setDotSize(dotSize);
+  this.queueRender();
+};
+
+/**
+ * Slide the start animation clamp to follow the current time by the tail
+ * length in the dots draw mode, and show the dots. In the lines draw mode,
+ * lift the clamp and hide the dots.
+ */
+geovelo.Overlay.prototype.updateTail = function() {
+  var uniforms = this.material.uniforms;
+  var dots = this.drawMode === 'dots';
+  if (dots) {
+    var currentTime =
+        Math.min(uniforms.endTime.value, uniforms.endAnimationClamp.value);
+    uniforms.startAnimationClamp.value = currentTime -
+        this.tailLength * 60 * 60 * 24 / this.material.timeStep;
+  } else {
+    uniforms.startAnimationClamp.value = -Infinity;
+  }
+  uniforms.fadeTail.value = dots ? 1 : 0;
+  if (this.processState) {
+    this.processState.dots.visible = dots;
+  }
+};
+
 /**
  * Set the starting timestamp of the line shader material. This will map to the
  * start color and start opacity.
@@ -682,6 +1261,7 @@ geovelo.Overlay.prototype.setLineWidth = function(lineWidth) {
  */
 geovelo.Overlay.prototype.setStartTimestamp = function(startTimestamp) {
   this.material.setStartTimestamp(startTimestamp);
+  this.queueComputeVelocities();
   this.queueRender();
 };
 
@@ -693,6 +1273,8 @@ geovelo.Overlay.prototype.setStartTimestamp = function(startTimestamp) {
  */
 geovelo.Overlay.prototype.setEndTimestamp = function(endTimestamp) {
   this.material.setEndTimestamp(endTimestamp);
+  this.updateTail();
+  this.queueComputeVelocities();
   this.queueRender();
 };
 
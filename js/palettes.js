@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Color palettes for coloring the Geodetic Velocity lines.
+ *
+ * @license Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+// Palettes require d3.
+if (typeof d3 === 'undefined') {
+  throw Error('D3 is required for Palettes.');
+}
+
+var geovelo;
+geovelo = geovelo || {};
+
+/**
+ * A palette is a list of two or more evenly spaced color stops, as CSS color
+ * strings, with colors in between interpolated in RGB.
+ */
+geovelo.Palettes = {
+
+  /**
+   * Named multi-stop palettes. Viridis and cividis are perceptually uniform
+   * and readable with color vision deficiency. Turbo has more contrast, but
+   * isn't uniform.
+   */
+  RAMPS: {
+    viridis: [
+      '#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+      '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'
+    ],
+    cividis: [
+      '#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779',
+      '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'
+    ],
+    turbo: [
+      '#23171b', '#4a58dd', '#2f9df5', '#27d7c4', '#4df884', '#95fb51',
+      '#dedd32', '#ffa423', '#f65f18', '#ba2208', '#900c00'
+    ]
+  },
+
+  /**
+   * Parse a comma separated list of color stops. Each stop is a hex color such
+   * as #f80 or #ff8800.
+   *
+   * @param {string} text The list of color stops.
+   * @return {!Array<string>} The color stops.
+   */
+  parseStops: function(text) {
+    var stops = text.split(',').map(function(stop) {
+      stop = stop.trim();
+      if (!/^#([0-9a-f]{3}){1,2}$/i.test(stop)) {
+        throw Error('Unreadable color stop: ' + stop);
+      }
+      return stop;
+    });
+    if (stops.length < 2) {
+      throw Error('A palette needs at least two color stops.');
+    }
+    return stops;
+  },
+
+  /**
+   * Make a function which interpolates along a palette.
+   *
+   * @param {!Array<string>} colors The color stops of the palette.
+   * @return {function(number):!d3.rgb} Function from a value between 0 (the
+   * first stop) and 1 (the last stop) to its color.
+   */
+  interpolate: function(colors) {
+    var segments = colors.length - 1;
+    var interpolators = d3.range(segments).map(function(i) {
+      return d3.interpolateRgb(colors[i], colors[i + 1]);
+    });
+    return function(t) {
+      var x = Math.max(0, Math.min(1, t)) * segments;
+      var i = Math.min(Math.floor(x), segments - 1);
+      return d3.rgb(interpolators[i](x - i));
+    };
+  }
+
+};
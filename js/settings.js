@@ -31,7 +31,10 @@ geovelo = geovelo || {};
  *  - description - Opitonal string describing this folder or option.
  *  - defaultValue - The starting value to use for this setting.
  *  - min, max - The smallest and largest allowed values.
- *  - type - Number (default) or color picker.
+ *  - type - Number (default) or color picker. A string defaultValue gives a
+ *    text field.
+ *  - values - Optional hash of choices, displayed as a dropdown. Keys are the
+ *    labels to display. Note that the chosen value arrives as a string.
  */
 geovelo.settings = {
 
@@ -58,6 +61,146 @@ geovelo.settings = {
         min: 0,
         max: 1,
       },
+      timeStep: {
+        displayName: 'time step',
+        description:
+            'Time between the readings drawn for each beacon. Readings are ' +
+            'averaged within each step. Auto uses the finest sampling of ' +
+            'any beacon.',
+        defaultValue: 'auto',
+        values: {
+          'auto': 'auto',
+          '1 day': 60 * 60 * 24,
+          '1 hour': 60 * 60,
+          '5 minutes': 60 * 5,
+          '30 seconds': 30,
+        },
+      },
+      outlierThreshold: {
+        displayName: 'outlier threshold',
+        description:
+            'Readings further than this many robust standard deviations ' +
+            '(scaled median absolute deviations) from the median of the ' +
+            'surrounding window are treated as missing. 0 disables outlier ' +
+            'removal.',
+        defaultValue: 0,
+        min: 0,
+        max: 20,
+        step: 0.5,
+      },
+      outlierWindow: {
+        displayName: 'outlier window',
+        description:
+            'Number of time steps in the window used to screen for outliers.',
+        defaultValue: 21,
+        min: 3,
+        max: 365,
+        step: 2,
+      },
+      smoothing: {
+        displayName: 'smoothing',
+        description:
+            'How to smooth each beacon\'s trajectory: not at all, with a ' +
+            'centred moving average, a Gaussian kernel, or a Kalman smoother.',
+        defaultValue: 'none',
+        values: {
+          'none': 'none',
+          'moving average': 'average',
+          'Gaussian': 'gaussian',
+          'Kalman': 'kalman',
+        },
+      },
+      smoothingStrength: {
+        displayName: 'smoothing strength',
+        description:
+            'Half-width of the moving average and standard deviation of ' +
+            'the Gaussian kernel, in time steps, or the ratio of noise to ' +
+            'movement for the Kalman smoother.',
+        defaultValue: 3,
+        min: 1,
+        max: 50,
+        step: 1,
+      },
+      gapMode: {
+        displayName: 'gap mode',
+        description:
+            'How to draw lines across gaps in the readings: as straight ' +
+            'lines (linear), not at all (break), or only across gaps of up ' +
+            'to the max gap (short).',
+        defaultValue: 'linear',
+        values: {
+          'linear': 'linear',
+          'break': 'break',
+          'short': 'short',
+        },
+      },
+      maxGap: {
+        displayName: 'max gap (days)',
+        description:
+            'Longest gap to draw a line across in the short gap mode.',
+        defaultValue: 30,
+        min: 1,
+        max: 365,
+        step: 1,
+      },
+      referenceFrame: {
+        displayName: 'reference frame',
+        description:
+            'Movement to subtract out as the median correction: the ' +
+            'network\'s median, that of a single reference station, the ' +
+            'mean of a set of reference stations, the rotation of the ' +
+            'plate in the Plate folder, or a regional common mode for each ' +
+            'station from its neighbours within the common mode radius.',
+        defaultValue: 'median',
+        values: {
+          'network median': 'median',
+          'single station': 'station',
+          'station set': 'set',
+          'plate fixed': 'plate',
+          'regional': 'regional',
+        },
+      },
+      commonModeRadius: {
+        displayName: 'common mode radius (km)',
+        description:
+            'Distance within which stations contribute to each other\'s ' +
+            'common mode in the regional reference frame, weighted by ' +
+            'distance.',
+        defaultValue: 300,
+        min: 10,
+        max: 3000,
+        step: 10,
+      },
+      referenceStations: {
+        displayName: 'reference stations',
+        description:
+            'Comma separated names of the reference stations. Stations can ' +
+            'also be chosen from their markers\' info windows.',
+        defaultValue: '',
+      },
+      seasonal: {
+        displayName: 'seasonal signal',
+        description:
+            'Annual and semi-annual sinusoids fitted to each beacon spanning ' +
+            'at least a year: keep them (off), subtract them (remove), or ' +
+            'show nothing but them (only), skipping shorter beacons.',
+        defaultValue: 'off',
+        values: {
+          'off': 'off',
+          'remove': 'remove',
+          'only': 'only',
+        },
+      },
+      tenvReference: {
+        displayName: 'tenv reference',
+        description:
+            'Reference position of the stations in tenv files, which only ' +
+            'carry displacements, as lat, lon, height (degrees and meters). ' +
+            'Write NAME=lat, lon, height for one station, separating entries ' +
+            'with semicolons. The lon and height may be left out. Used when ' +
+            'files are next loaded.',
+        defaultValue: '',
+      },
       showMarkers: {
         displayName: 'show markers',
         description: 'Whether to show a Google Maps marker for each beacon.',
@@ -66,23 +209,201 @@ geovelo.settings = {
     },
   },
 
+  plate: {
+    displayName: 'Plate',
+    description:
+        'Euler pole of the tectonic plate whose rotation is removed from ' +
+        'every beacon in the plate fixed reference frame.',
+    open: false,
+    options: {
+      name: {
+        displayName: 'plate',
+        description:
+            'Plate whose pole to use, from the ITRF2014 plate motion model, ' +
+            'or custom to enter a pole below.',
+        defaultValue: 'NOAM',
+        values: {
+          'custom': 'custom',
+          'Antarctica': 'ANTA',
+          'Arabia': 'ARAB',
+          'Australia': 'AUST',
+          'Eurasia': 'EURA',
+          'India': 'INDI',
+          'Nazca': 'NAZC',
+          'North America': 'NOAM',
+          'Nubia': 'NUBI',
+          'Pacific': 'PCFC',
+          'South America': 'SOAM',
+          'Somalia': 'SOMA',
+        },
+      },
+      lat: {
+        displayName: 'pole latitude',
+        description: 'Latitude of the Euler pole in degrees.',
+        defaultValue: 0,
+        min: -90,
+        max: 90,
+        step: 0.001,
+      },
+      lon: {
+        displayName: 'pole longitude',
+        description: 'Longitude of the Euler pole in degrees.',
+        defaultValue: 0,
+        min: -180,
+        max: 180,
+        step: 0.001,
+      },
+      rate: {
+        displayName: 'rate (deg/Myr)',
+        description:
+            'Rate of rotation about the Euler pole in degrees per million ' +
+            'years, positive for counterclockwise.',
+        defaultValue: 0,
+        min: -5,
+        max: 5,
+        step: 0.001,
+      },
+    },
+  },
+
+  offsets: {
+    displayName: 'Offsets',
+    description:
+        'Settings for finding and removing jumps in the beacons\' ' +
+        'positions, such as those from earthquakes and equipment changes.',
+    open: false,
+    options: {
+      correct: {
+        displayName: 'remove offsets',
+        description:
+            'Whether to remove the jumps (corrected series) or leave them ' +
+            'in (raw series).',
+        defaultValue: true,
+      },
+      epochs: {
+        displayName: 'offset epochs',
+        description:
+            'Comma separated list of known offset times, such as ' +
+            '2011-03-11. Write NAME=time for a time that applies to one ' +
+            'beacon only.',
+        defaultValue: '',
+      },
+      detect: {
+        displayName: 'detect offsets',
+        description: 'Whether to also detect jumps automatically.',
+        defaultValue: false,
+      },
+      threshold: {
+        displayName: 'threshold (mm)',
+        description: 'Smallest horizontal jump to detect automatically.',
+        defaultValue: 10,
+        min: 1,
+        max: 100,
+        step: 1,
+      },
+      window: {
+        displayName: 'window',
+        description:
+            'Number of time steps either side of a jump used to detect and ' +
+            'estimate it.',
+        defaultValue: 10,
+        min: 2,
+        max: 100,
+        step: 1,
+      },
+    },
+  },
+
   style: {
     displayName: 'Style',
     description: 'Settings for the style and behavior of the visualization.',
     open: true,
     options: {
+      palette: {
+        displayName: 'time palette',
+        description:
+            'Palette to color lines by time, from the start of the time ' +
+            'range to the end. Viridis and cividis are readable with color ' +
+            'vision deficiency.',
+        defaultValue: 'viridis',
+        values: {
+          'viridis': 'viridis',
+          'cividis': 'cividis',
+          'turbo': 'turbo',
+          'start to end color': 'startEnd',
+          'custom stops': 'custom',
+        },
+      },
+      paletteStops: {
+        displayName: 'custom stops',
+        description:
+            'Comma separated list of hex colors, such as #000, #f00, #ff0, ' +
+            'for the custom stops time palette.',
+        defaultValue: '#000004, #b73779, #fcfdbf',
+      },
       startColor: {
         displayName: 'start color',
-        description: 'Color to use for the start of the time range.',
+        description:
+            'Color to use for the start of the time range, with the start ' +
+            'to end color time palette.',
         defaultValue: '#0000ff',
         type: 'color',
       },
       endColor: {
         displayName: 'end color',
-        description: 'Color to use for the end of the time range.',
+        description:
+            'Color to use for the end of the time range, with the start to ' +
+            'end color time palette.',
         defaultValue: '#ff0000',
         type: 'color',
       },
+      colorMode: {
+        displayName: 'color by',
+        description:
+            'What to color lines by: time, along the time palette, ' +
+            'vertical velocity, from blue (subsidence) to red (uplift), ' +
+            'speed at each time step, direction of motion at each time ' +
+            'step, the fraction of time steps with a reading, or height ' +
+            'change since the start time, from blue (down) to red (up).',
+        defaultValue: 'time',
+        values: {
+          'time': 'time',
+          'vertical velocity': 'vertical',
+          'speed': 'speed',
+          'direction': 'direction',
+          'completeness': 'completeness',
+          'height change': 'height',
+        },
+      },
+      verticalRange: {
+        displayName: 'vertical range (mm/yr)',
+        description:
+            'Vertical velocity which gets the full uplift or subsidence ' +
+            'color.',
+        defaultValue: 5,
+        min: 0.5,
+        max: 50,
+        step: 0.5,
+      },
+      heightRange: {
+        displayName: 'height range (mm)',
+        description:
+            'Height change which gets the full up or down color.',
+        defaultValue: 20,
+        min: 1,
+        max: 500,
+        step: 1,
+      },
+      speedRange: {
+        displayName: 'speed range (mm/yr)',
+        description:
+            'Speed which gets the full fast color. Day to day noise makes ' +
+            'for high speeds, unless the data is smoothed.',
+        defaultValue: 100,
+        min: 1,
+        max: 10000,
+        step: 1,
+      },
       lineWidth: {
         displayName: 'line width',
         description: 'Width of line when rendering.',
@@ -91,6 +412,139 @@ geovelo.settings = {
         max: 10,
         step: 0.1,
       },
+      drawMode: {
+        displayName: 'draw',
+        description:
+            'Whether to draw the whole trajectory of each beacon, or a dot ' +
+            'at its position at the end of the time range (or the current ' +
+            'time of the animation) with a fading tail behind it.',
+        defaultValue: 'lines',
+        values: {
+          'trajectories': 'lines',
+          'current position': 'dots',
+        },
+      },
+      tailLength: {
+        displayName: 'tail length (days)',
+        description: 'How far back the tail behind each dot reaches.',
+        defaultValue: 365,
+        min: 0,
+        max: 10000,
+        step: 1,
+      },
+      dotSize: {
+        displayName: 'dot size',
+        description: 'Diameter of the dots in pixels.',
+        defaultValue: 6,
+        min: 1,
+        max: 20,
+        step: 0.5,
+      },
+    },
+  },
+
+  velocity: {
+    displayName: 'Velocities',
+    description:
+        'Settings for the arrows showing each beacon\'s velocity, fitted ' +
+        'over the selected time range.',
+    open: true,
+    options: {
+      show: {
+        displayName: 'show arrows',
+        description: 'Whether to draw a velocity arrow for each beacon.',
+        defaultValue: false,
+      },
+      scale: {
+        displayName: 'arrow scale',
+        description:
+            'Power of 10 by which to multiply one year of movement to get ' +
+            'the length of an arrow.',
+        defaultValue: 6.5,
+        min: 1,
+        max: 9,
+        step: 0.01,
+      },
+      color: {
+        displayName: 'arrow color',
+        description: 'Color to use for velocity arrows.',
+        defaultValue: '#000000',
+        type: 'color',
+      },
+    },
+  },
+
+  strain: {
+    displayName: 'Strain rate',
+    description:
+        'Settings for the strain rate field, computed from the velocities ' +
+        'over a triangulation of the beacons and drawn beneath the lines.',
+    open: false,
+    options: {
+      mode: {
+        displayName: 'show',
+        description:
+            'What to show for each triangle: nothing, its dilatation ' +
+            '(red for extension, blue for contraction), its maximum shear, ' +
+            'or a cross along its principal strain axes.',
+        defaultValue: 'off',
+        values: {
+          'off': 'off',
+          'dilatation': 'dilatation',
+          'max shear': 'shear',
+          'principal axes': 'axes',
+        },
+      },
+      range: {
+        displayName: 'range (nstrain/yr)',
+        description:
+            'Strain rate which gets the full color, or the longest cross.',
+        defaultValue: 100,
+        min: 1,
+        max: 10000,
+        step: 1,
+      },
+      opacity: {
+        displayName: 'opacity',
+        description: 'Opacity of the colored triangles.',
+        defaultValue: 0.5,
+        min: 0,
+        max: 1,
+        step: 0.01,
+      },
+    },
+  },
+
+  render: {
+    displayName: 'Rendering',
+    description:
+        'Settings trading the sharpness of the overlay for speed. The ' +
+        'defaults are the cheapest, for weaker machines.',
+    options: {
+      highDpi: {
+        displayName: 'high DPI',
+        description:
+            'Whether to render at the device pixel ratio, which is sharper ' +
+            'on high DPI screens, rather than at one pixel per CSS pixel.',
+        defaultValue: false,
+      },
+      antialias: {
+        displayName: 'antialiasing (MSAA)',
+        description:
+            'Whether to antialias with multisampling, where the browser and ' +
+            'graphics card support it.',
+        defaultValue: false,
+      },
+      supersampling: {
+        displayName: 'supersampling',
+        description:
+            'How many times the resolution to render at in each direction, ' +
+            'before scaling down to the screen.',
+        defaultValue: 1,
+        min: 1,
+        max: 4,
+        step: 1,
+      },
     },
   },
 
@@ -47,17 +47,18 @@ geovelo.TimeRange = function(containerElement) {
   // Must be set in order to draw().
   this.extentEnd = null;
 
+  // Milliseconds between time steps of the data. Nubs snap to these steps.
+  this.step = 1000 * 60 * 60 * 24;
+
   // Date object representing the position of the left (start) nub.
   this.rangeStart = null;
 
   // Date object representing the position of the right (end) nub.
   this.rangeEnd = null;
 
-  // String representing the color to fill the start nub.
-  this.startColor = null;
-
-  // String representing the color to fill the end nub.
-  this.endColor = null;
+  // Color stops of the palette from the start of the range to the end, which
+  // fill the nubs and the band between them.
+  this.colors = ['#000', '#000'];
 
   // D3 scale for the time range. Will be updated on draw to match parameters.
   var timeScale = this.timeScale = d3.time.scale();
@@ -69,6 +70,14 @@ geovelo.TimeRange = function(containerElement) {
   // Add a group element to the DOM for the time axis, to be filled later.
   svg.append('g').attr('class', 'time axis');
 
+  // Add the gradient and the band it fills, laid over the axis line between
+  // the nubs.
+  svg.append('defs').append('linearGradient')
+      .attr('id', 'time-range-gradient');
+  svg.append('rect')
+      .attr('class', 'band')
+      .attr('fill', 'url(#time-range-gradient)');
+
   // Initialize the drag behavior for nubs on the timeline.
   var self = this;
   this.dragBehavior = d3.behavior.drag()
@@ -79,21 +88,16 @@ geovelo.TimeRange = function(containerElement) {
         };
       })
       .on('drag', function(d, i) {
-        var MS_PER_DAY = 1000 * 60 * 60 * 24;
+        // Invert drag distance to get a Date, then snap to the nearest step.
+        var ts = self.snap(+timeScale.invert(d3.event.x));
 
-        // Invert drag distance to get a Date, then round to the nearest day,
-        // accounting for timezone offset.
-        var rawTs = +timeScale.invert(d3.event.x);
-        var ts = rawTs - (rawTs % MS_PER_DAY) +
-            new Date().getTimezoneOffset() * 60 * 1000;
-
-        // Update sample start or end, maintaining minimum difference of 1 day.
+        // Update sample start or end, maintaining minimum difference of 1 step.
         if (i === 0) {
           ts = Math.max(ts, +self.extentStart);
-          ts = Math.min(ts, +self.rangeEnd - MS_PER_DAY);
+          ts = Math.min(ts, +self.rangeEnd - self.step);
           self.rangeStart = new Date(ts);
         } else {
-          ts = Math.max(ts, +self.rangeStart + MS_PER_DAY);
+          ts = Math.max(ts, +self.rangeStart + self.step);
           ts = Math.min(ts, +self.extentEnd);
           self.rangeEnd = new Date(ts);
         }
@@ -113,24 +117,12 @@ geovelo.TimeRange = function(containerElement) {
 };
 
 /**
- * Set the color to use for the start of the range.
+ * Set the palette to show from the start of the range to the end.
  *
- * @param {string} startColor The color to set for the start of the range.
+ * @param {!Array<string>} colors Two or more color stops.
  */
-geovelo.TimeRange.prototype.setStartColor = function(startColor) {
-  this.startColor = startColor;
-  if (this.extentStart && this.extentEnd) {
-    this.drawNubs();
-  }
-};
-
-/**
- * Set the color to use for the end of the range.
- *
- * @param {string} endColor The color to set for the end of the range.
- */
-geovelo.TimeRange.prototype.setEndColor = function(endColor) {
-  this.endColor = endColor;
+geovelo.TimeRange.prototype.setColors = function(colors) {
+  this.colors = colors;
   if (this.extentStart && this.extentEnd) {
     this.drawNubs();
   }
@@ -142,27 +134,34 @@ geovelo.TimeRange.prototype.setEndColor = function(endColor) {
  *
  * @param {Date} extentStart The start of the extent of the selector.
  * @param {Date} extentEnd The end of the extent of the selector.
+ * @param {number=} step Seconds between time steps of the data, to which the
+ *     nubs snap. Defaults to one day.
  * @return {TimeRange} Return this TimeRange instance.
  */
-geovelo.TimeRange.prototype.setExtent = function(extentStart, extentEnd) {
+geovelo.TimeRange.prototype.setExtent =
+    function(extentStart, extentEnd, step) {
   if (!(extentStart instanceof Date) || !(extentEnd instanceof Date) ||
       extentStart >= extentEnd) {
     throw Error('Unacceptable extent parameters.');
   }
   this.extentStart = extentStart;
   this.extentEnd = extentEnd;
-  var changed = false;
+  this.step = 1000 * (step || 60 * 60 * 24);
   if (this.rangeStart === null || this.rangeStart < this.extentStart) {
     this.rangeStart = extentStart;
-    changed = true;
   }
-  if (this.rangeEnd === null || this.rangeEnd > this.extendEnd) {
+  if (this.rangeEnd === null || this.rangeEnd > this.extentEnd) {
     this.rangeEnd = extentEnd;
   }
-  if (changed) {
-    this.draw();
-    this.emitRangeChange();
+  if (this.rangeStart >= this.rangeEnd) {
+    this.rangeStart = extentStart;
+    this.rangeEnd = extentEnd;
   }
+
+  // Always redraw and announce the range, since the extent may have changed
+  // with new data even if the range did not.
+  this.draw();
+  this.emitRangeChange();
   return this;
 };
 
@@ -216,16 +215,13 @@ geovelo.TimeRange.prototype.clickHandler = function() {
     return;
   }
 
-  var MS_PER_DAY = 1000 * 60 * 60 * 24;
   var margin = geovelo.TimeRange.margin;
 
   // Event position offset is half of the margin plus the nub width.
   var offset = (margin.left + 4) / 2;
 
   // Determine the clamped position's date.
-  var rawTs = this.timeScale.invert(d3.event.x - offset);
-  var ts = rawTs - (rawTs % MS_PER_DAY) +
-            new Date().getTimezoneOffset() * 60 * 1000;
+  var ts = this.snap(+this.timeScale.invert(d3.event.x - offset));
   ts = Math.max(ts, +this.extentStart);
   ts = Math.min(ts, +this.extentEnd);
   var date = new Date(ts);
@@ -240,6 +236,18 @@ geovelo.TimeRange.prototype.clickHandler = function() {
   this.emitRangeChange();
 };
 
+/**
+ * Snap a time to the nearest time step of the data, counting from the start of
+ * the extent.
+ *
+ * @param {number} ts Time in milliseconds since the Unix epoch.
+ * @return {number} The snapped time in milliseconds since the Unix epoch.
+ */
+geovelo.TimeRange.prototype.snap = function(ts) {
+  var start = +this.extentStart;
+  return start + Math.round((ts - start) / this.step) * this.step;
+};
+
 /**
  * Emit a custom 'range-change' event on the container element.
  */
@@ -295,21 +303,47 @@ geovelo.TimeRange.prototype.draw = function() {
 };
 
 /**
- * Draw the draggable time range selector nubs.
+ * Draw the draggable time range selector nubs, colored by the first and last
+ * color stops, and the band over the axis between them showing the palette.
  */
 geovelo.TimeRange.prototype.drawNubs = function() {
   // If this is the first draw(), then initialize the sample start and end.
   this.rangeStart = this.rangeStart || this.extentStart;
   this.rangeEnd = this.rangeEnd || this.extentEnd;
 
+  // Sample the palette as the lines are colored, which ease in and out of the
+  // start and end colors, see geovelo.LineShaderMaterial.
+  var interpolate = geovelo.Palettes.interpolate(this.colors);
+  var samples = d3.range(geovelo.TimeRange.gradientStops).map(function(i) {
+    var offset = i / (geovelo.TimeRange.gradientStops - 1);
+    return {
+      offset: offset,
+      color: interpolate(offset * offset * (3 - 2 * offset)).toString()
+    };
+  });
+  var stops = this.svg.select('linearGradient').selectAll('stop')
+      .data(samples);
+  stops.enter().append('stop');
+  stops
+      .attr('offset', function(d) { return d.offset; })
+      .attr('stop-color', function(d) { return d.color; });
+
+  var margin = geovelo.TimeRange.margin;
+  var timeScale = this.timeScale;
+  this.svg.select('.band')
+      .attr('x', timeScale(this.rangeStart))
+      .attr('y', margin.top - geovelo.TimeRange.bandHeight / 2)
+      .attr('width', timeScale(this.rangeEnd) - timeScale(this.rangeStart))
+      .attr('height', geovelo.TimeRange.bandHeight);
+
   // Get the draggable nub elements.
   var nubs = this.svg.selectAll('.nub')
       .data([{
         time: this.rangeStart,
-        color: this.startColor,
+        color: this.colors[0],
       }, {
         time: this.rangeEnd,
-        color: this.endColor,
+        color: this.colors[this.colors.length - 1],
       }]);
 
   // Insert DOM elements for the nubs if this is the first time.
@@ -321,7 +355,6 @@ geovelo.TimeRange.prototype.drawNubs = function() {
         .attr('d', 'M -4,-16 v 8 l 4,6 l 4,-6 v -8 z');
 
   // Move nubs into their correct positions and set color.
-  var timeScale = this.timeScale;
   nubs.attr('transform', function(d) {
     return 'translate(' + timeScale(d.time) + ',' +
         geovelo.TimeRange.margin.top + ')';
@@ -338,6 +371,17 @@ geovelo.TimeRange.margin = {
   top: 22
 };
 
+/**
+ * The height in pixels of the band showing the palette, centered on the axis
+ * line.
+ */
+geovelo.TimeRange.bandHeight = 6;
+
+/**
+ * Number of color stops sampled from the palette for the band's gradient.
+ */
+geovelo.TimeRange.gradientStops = 17;
+
 /**
  * This format is very nearly identical to the default used by d3.time.scale,
  * but uses shortened month names.